@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch, 2014-2015 */
+
+/**
+ * Command line interface for sepa.js:
+ *
+ * sepa generate [--format <painFormat>] --config <config.json> [input.csv|input.json|-]
+ * sepa validate [--schema [<dir>]] <file.xml>
+ * sepa iban check <IBAN>...
+ * sepa iban checksum <IBAN>...
+ *
+ * Exit codes: 0 on success, 1 for invalid data and 2 for usage errors.
+ */
+var fs = require('fs');
+var path = require('path');
+var SEPA = require('../lib/sepa.js');
+
+var USAGE = [
+  'Usage:',
+  '  sepa generate [--format <painFormat>] --config <config.json> [input.csv|input.json|-]',
+  '  sepa validate [--schema [<dir>]] <file.xml>',
+  '  sepa iban check <IBAN>...',
+  '  sepa iban checksum <IBAN>...',
+  ''
+].join('\n');
+
+/** Properties that are converted to dates when set from a template */
+var DATE_PROPERTIES = ['collectionDate', 'requestedExecutionDate', 'mandateSignatureDate', 'created'];
+
+/**
+ * Thrown for invalid command line arguments, results in the usage and exit
+ * code 2.
+ */
+function UsageError(message) {
+  this.message = message;
+}
+
+/**
+ * Splits the command line arguments into options and positional arguments.
+ * Options are given as --name value or --name=value, flags listed in
+ * optionalValue only take a value if it does not start with -- and another
+ * positional argument follows, so --schema out.xml keeps out.xml as argument.
+ *
+ * @param argv          The arguments without node and the script name.
+ * @param optionalValue Names of the options with an optional value.
+ * @return              Object with the options and the args array.
+ */
+function parseArgs(argv, optionalValue) {
+  var result = { options: {}, args: [] };
+  for (var i = 0; i < argv.length; ++i) {
+    var match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      result.args.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      result.options[match[1]] = match[2];
+    } else if (optionalValue.indexOf(match[1]) !== -1 &&
+               (i + 1 >= argv.length || argv[i + 1].indexOf('--') === 0 || !hasPositional(argv.slice(i + 2)))) {
+      result.options[match[1]] = true;
+    } else if (i + 1 < argv.length) {
+      result.options[match[1]] = argv[++i];
+    } else {
+      throw new UsageError('Missing value for --' + match[1]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks if any of the arguments is not an option.
+ *
+ * @param argv        The arguments.
+ * @return            True, if there is an argument not starting with --.
+ */
+function hasPositional(argv) {
+  return argv.some(function(arg) {
+    return arg.indexOf('--') !== 0;
+  });
+}
+
+/**
+ * Parses CSV text. Fields can be quoted with double quotes, which are
+ * escaped by doubling them. Empty lines are skipped.
+ *
+ * @param text        The CSV text.
+ * @param delimiter   The field delimiter.
+ * @return            Array of { line, fields } with the 1-based line number
+ *                      the record starts on.
+ */
+function parseCSV(text, delimiter) {
+  var records = [];
+  var fields = [];
+  var field = '';
+  var quoted = false;
+  var line = 1;
+  var start = 1;
+  var endRecord = function() {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: start, fields: fields });
+    }
+    fields = [];
+    field = '';
+    start = line;
+  };
+
+  for (var i = 0; i < text.length; ++i) {
+    var chr = text[i];
+    if (quoted) {
+      if (chr === '"' && text[i + 1] === '"') {
+        field += '"';
+        ++i;
+      } else if (chr === '"') {
+        quoted = false;
+      } else {
+        if (chr === '\n') {
+          ++line;
+        }
+        field += chr;
+      }
+    } else if (chr === '"') {
+      quoted = true;
+    } else if (chr === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (chr === '\n') {
+      ++line;
+      endRecord();
+    } else if (chr !== '\r') {
+      field += chr;
+    }
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Reads the input rows, either from a CSV file or a JSON file containing an
+ * array of objects. The columns of the configuration map field names to
+ * column numbers or header names, respectively object keys.
+ *
+ * @param input       The file name, or - for stdin.
+ * @param config      The configuration.
+ * @return            Array of { line, values } objects.
+ */
+function readRows(input, config) {
+  var text = fs.readFileSync(input === '-' ? 0 : input, 'utf-8');
+  var columns = config.columns;
+
+  if (path.extname(input).toLowerCase() === '.json') {
+    return JSON.parse(text).map(function(obj, index) {
+      var values = obj;
+      if (columns) {
+        values = {};
+        Object.keys(columns).forEach(function(field) {
+          values[field] = obj[columns[field]];
+        });
+      }
+      return { line: index + 1, values: values };
+    });
+  }
+
+  var records = parseCSV(text, config.delimiter || ',');
+  if (!records.length) {
+    throw new Error('No rows in ' + (input === '-' ? 'stdin' : input));
+  }
+  var header = config.header ? records.shift().fields : null;
+  if (!columns) {
+    columns = {};
+    (header || records[0].fields).forEach(function(name, index) {
+      columns[header ? name : index] = index;
+    });
+  }
+
+  return records.map(function(record) {
+    var values = {};
+    Object.keys(columns).forEach(function(field) {
+      var column = columns[field];
+      if (typeof column !== 'number') {
+        column = header ? header.indexOf(column) : -1;
+        if (column === -1) {
+          throw new Error('Unknown column ' + columns[field]);
+        }
+      }
+      values[field] = record.fields[column];
+    });
+    return { line: record.line, values: values };
+  });
+}
+
+/**
+ * Fills in a template. %field% is replaced by the value of the field, and
+ * %field.year%, %field.month% and %field.day% by the zero-padded parts of a
+ * date field. A template consisting of just %field% keeps the type of the
+ * value, so numbers stay numbers.
+ *
+ * @param template    The template string.
+ * @param values      The values of the fields.
+ * @return            The filled in template.
+ */
+function formatTemplate(template, values) {
+  var pattern = /%(\w+)(?:\.(year|month|day))?%/g;
+  var getValue = function(match, field, part) {
+    var value = values[field];
+    if (value === undefined || value === null) {
+      throw new Error('No value for ' + match);
+    }
+    if (!part) {
+      return value instanceof Date ? value.toISOString().substr(0, 10) : value;
+    }
+
+    var date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Value of ' + field + ' is not a date: ' + value);
+    }
+    var num = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }[part];
+    return num < 10 ? '0' + num : String(num);
+  };
+
+  var whole = /^%(\w+)%$/.exec(template);
+  if (whole) {
+    return getValue(whole[0], whole[1]);
+  }
+  return template.replace(pattern, getValue);
+}
+
+/**
+ * Sets the properties of an object from templates. Strings are filled in
+ * with formatTemplate, nested objects like addresses are filled in the same
+ * way, other values are used as they are.
+ *
+ * @param obj         The object to set the properties on.
+ * @param templates   Object mapping property names to templates.
+ * @param values      The values of the fields.
+ */
+function applyTemplates(obj, templates, values) {
+  Object.keys(templates || {}).forEach(function(prop) {
+    var value = templates[prop];
+    if (typeof value === 'string') {
+      value = formatTemplate(value, values);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      var nested = {};
+      applyTemplates(nested, value, values);
+      value = nested;
+    }
+    if (DATE_PROPERTIES.indexOf(prop) !== -1 && !(value instanceof Date)) {
+      value = new Date(value);
+    }
+    obj[prop] = value;
+  });
+}
+
+/**
+ * Prints the errors of a failed operation to stderr.
+ *
+ * @param prefix      Prefix for each line, e.g. the row.
+ * @param e           The Error or SEPA.ValidationError.
+ */
+function printErrors(prefix, e) {
+  var errors = e instanceof SEPA.ValidationError ? e.errors : [{ path: null, message: e.message }];
+  errors.forEach(function(err) {
+    process.stderr.write(prefix + (err.path ? err.path + ': ' : '') + err.message + '\n');
+  });
+}
+
+/**
+ * sepa generate: creates a SEPA document from a CSV or JSON file and writes
+ * it to stdout. The configuration file contains:
+ *
+ * format      - (optional) the pain format, --format takes precedence
+ * header      - (optional) true if the first CSV line contains the column names
+ * delimiter   - (optional) the CSV delimiter, defaults to a comma
+ * columns     - (optional) field names mapped to column numbers or names
+ * sanitize    - (optional) true to convert texts to the SEPA character set
+ * document    - group header properties, e.g. id and initiatorName
+ * paymentInfo - payment info properties, e.g. the creditor
+ * transaction - transaction properties, e.g. debtorIBAN: "%iban%"
+ *
+ * All properties can be templates using the fields of each row, and the
+ * created field for the creation date of the document.
+ */
+function generate(argv) {
+  var cmd = parseArgs(argv, []);
+  if (!cmd.options.config) {
+    throw new UsageError('Missing --config');
+  }
+
+  var config = JSON.parse(fs.readFileSync(cmd.options.config, 'utf-8'));
+  var created = new Date();
+  var doc = new SEPA.Document({ painFormat: cmd.options.format || config.format });
+  doc.grpHdr.created = created;
+  doc.sanitize = !!config.sanitize;
+  applyTemplates(doc.grpHdr, config.document, { created: created });
+
+  var failed = false;
+  var list = [];
+  readRows(cmd.args[0] || '-', config).forEach(function(row) {
+    row.values.created = created;
+    try {
+      var item = { transaction: doc.createTransaction() };
+      applyTemplates(item.transaction, config.transaction, row.values);
+      applyTemplates(item, config.paymentInfo, row.values);
+      item.transaction.validate();
+      list.push(item);
+    } catch (e) {
+      printErrors('Row ' + row.line + ': ', e);
+      failed = true;
+    }
+  });
+
+  if (failed) {
+    return 1;
+  }
+
+  try {
+    doc.addTransactions(list);
+    doc.validate();
+  } catch (e) {
+    printErrors('', e);
+    return 1;
+  }
+
+  doc.toStream().pipe(process.stdout);
+  return 0;
+}
+
+/**
+ * sepa validate: checks a SEPA XML file and prints the errors to stderr. With
+ * --schema, the file is also validated against its XSD schema.
+ */
+function validate(argv) {
+  var cmd = parseArgs(argv, ['schema']);
+  if (!cmd.args.length) {
+    throw new UsageError('Missing file name');
+  }
+
+  var doc;
+  try {
+    doc = SEPA.Document.fromXML(fs.readFileSync(cmd.args[0], 'utf-8'));
+    doc.validate();
+  } catch (e) {
+    printErrors('', e);
+    return 1;
+  }
+
+  if (!cmd.options.schema) {
+    return 0;
+  }
+
+  var schemaDir = cmd.options.schema === true ? undefined : cmd.options.schema;
+  return doc.validateSchema(schemaDir).then(function(result) {
+    result.errors.forEach(function(err) {
+      process.stderr.write('Line ' + err.line + ': ' + (err.path ? err.path + ': ' : '') + err.message + '\n');
+    });
+    return result.valid ? 0 : 1;
+  });
+}
+
+/**
+ * sepa iban: checks IBANs or calculates their checksum.
+ */
+function iban(argv) {
+  var action = argv[0];
+  var ibans = argv.slice(1);
+  if (!ibans.length || (action !== 'check' && action !== 'checksum')) {
+    throw new UsageError('Expected check or checksum followed by at least one IBAN');
+  }
+
+  var exitCode = 0;
+  ibans.forEach(function(value) {
+    value = value.replace(/\s/g, '').toUpperCase();
+    if (action === 'checksum') {
+      process.stdout.write(SEPA.checksumIBAN(value) + '\n');
+      return;
+    }
+
+    var result = {};
+    if (SEPA.validateIBAN(value, result)) {
+      process.stdout.write(value + ': valid\n');
+    } else {
+      process.stdout.write(value + ': invalid (' + result.reason + ')\n');
+      exitCode = 1;
+    }
+  });
+  return exitCode;
+}
+
+function main(argv) {
+  var commands = { generate: generate, validate: validate, iban: iban };
+  var command = Object.prototype.hasOwnProperty.call(commands, argv[0]) ? commands[argv[0]] : null;
+  var exitCode;
+  try {
+    if (!command) {
+      throw new UsageError(argv[0] ? 'Unknown command ' + argv[0] : 'Missing command');
+    }
+    exitCode = command(argv.slice(1));
+  } catch (e) {
+    if (e instanceof UsageError) {
+      process.stderr.write(e.message + '\n' + USAGE);
+      exitCode = 2;
+    } else {
+      printErrors('', e);
+      exitCode = 1;
+    }
+  }
+
+  if (exitCode && typeof exitCode.then === 'function') {
+    exitCode.then(function(code) {
+      process.exitCode = code;
+    }, function(e) {
+      printErrors('', e);
+      process.exitCode = 1;
+    });
+  } else {
+    process.exitCode = exitCode;
+  }
+}
+
+main(process.argv.slice(2));
@@ -38,14 +38,27 @@ function process() { // eslint-disable-line no-unused-vars
   results.src = 'data:text/xml,' + hdr + doc.toString();
   results.style.display = 'block';
   results.style.height = (document.body.scrollHeight - 40) + 'px';
+
+  // The JSON can be turned into the same XML with SEPA.Document.fromJSON
+  var json = document.getElementById('json');
+  json.href = 'data:application/json,' + encodeURIComponent(JSON.stringify(doc));
+  json.style.display = 'block';
 }
 
 function validateIBAN(event) { // eslint-disable-line no-unused-vars
   if (event.target.value.substr(2, 2) === '00') {
     event.target.value = window.SEPA.checksumIBAN(event.target.value);
   }
-  var isValid = window.SEPA.validateIBAN(event.target.value);
-  event.target.setCustomValidity(isValid ? '' : 'IBAN is not valid');
+  var messages = {
+    characters: 'IBAN may only contain upper case letters and digits',
+    country: 'IBAN country is unknown',
+    length: 'IBAN has the wrong length for this country',
+    format: 'IBAN does not match the format for this country',
+    checksum: 'IBAN checksum is wrong'
+  };
+  var result = {};
+  var isValid = window.SEPA.validateIBAN(event.target.value, result);
+  event.target.setCustomValidity(isValid ? '' : messages[result.reason]);
 }
 
 function validateCID(event) { // eslint-disable-line no-unused-vars
@@ -9,12 +9,34 @@
  * SEPA.Document               -- class for creating SEPA XML Documents
  * SEPA.PaymentInfo            -- class for SEPA payment information blocks
  * SEPA.Transaction            -- class for generic transactions
+ * SEPA.Address                -- class for structured, hybrid and unstructured postal addresses
+ * SEPA.RTransactionDocument   -- class for pain.007 reversals and camt.055 cancellation requests
+ * SEPA.MandateRegistry        -- class tracking the sequence types of direct debit mandates
+ * SEPA.SubmittedIds           -- class tracking the ids of submitted documents
  * SEPA.validateIBAN           -- function to validate an IBAN
  * SEPA.checksumIBAN           -- function to calculate the IBAN checksum
+ * SEPA.validateBIC            -- function to validate a BIC
  * SEPA.validateCreditorID     -- function to validate a creditor id
  * SEPA.checksumCreditorID     -- function to calculate the creditor id checksum
+ * SEPA.validateCreditorReference -- function to validate an RF creditor reference
+ * SEPA.checksumCreditorReference -- function to calculate the RF creditor reference checksum
+ * SEPA.validateQRReference    -- function to validate a Swiss QR reference
+ * SEPA.checksumQRReference    -- function to calculate the QR reference check digit
  * SEPA.setIDSeparator         -- function to customize the ID separator when needed (defaults to '.')
+ * SEPA.validateSchema         -- function to validate XML, e.g. from toStream, against a bundled XSD
+ * SEPA.parseStatement         -- function to parse camt.052/053/054 bank statements
+ * SEPA.parseStatusReport      -- function to parse pain.002 payment status reports
+ * SEPA.isBusinessDay          -- function to check a date against the TARGET2 calendar
+ * SEPA.nextBusinessDay        -- function to get the next TARGET2 business day
+ * SEPA.earliestCollectionDate -- function to calculate the earliest direct debit collection date
+ * SEPA.CollectionLeadDays     -- business days between submission and collection
+ * SEPA.InstantLimits          -- maximum amount of instant credit transfers
+ * SEPA.CurrencyDecimals       -- ISO 4217 currency codes and their number of decimals
+ * SEPA.StatusCodes            -- descriptions of the pain.002 status codes
+ * SEPA.ReasonCodes            -- descriptions of the ISO status reason codes
+ * SEPA.ValidationError        -- error thrown when validating an object fails
  */
+/* global Promise */
 (function(exports) {
   var XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
   var XSI_NS        = 'urn:iso:std:iso:20022:tech:xsd:';
@@ -24,25 +46,81 @@
     ID_SEPARATOR = seperator;
   }
 
+  /**
+   * Error thrown by the validate() methods. The errors property contains an
+   * array of { path, message } objects, where the path describes the
+   * offending field, e.g. paymentInfo[0].transactions[3].debtorIBAN.
+   *
+   * @param errors      The array of validation errors.
+   */
+  function ValidationError(errors) {
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.message = errors.map(function(err) {
+      return err.path + ': ' + err.message;
+    }).join('\n');
+    this.stack = (new Error(this.message)).stack;
+  }
+  ValidationError.prototype = Object.create(Error.prototype);
+  ValidationError.prototype.constructor = ValidationError;
+
   var SEPATypes = {
     'pain.001.001.02': 'pain.001.001.02',
     'pain.001.003.02': 'pain.001.003.02',
     'pain.001.001.03': 'CstmrCdtTrfInitn',
     'pain.001.002.03': 'CstmrCdtTrfInitn',
     'pain.001.003.03': 'CstmrCdtTrfInitn',
+    'pain.001.001.09': 'CstmrCdtTrfInitn',
+    'pain.001.001.03.ch.02': 'CstmrCdtTrfInitn',
     'pain.008.001.01': 'pain.008.001.01',
     'pain.008.003.01': 'pain.008.003.01',
     'pain.008.001.02': 'CstmrDrctDbtInitn',
-    'pain.008.003.02': 'CstmrDrctDbtInitn'
+    'pain.008.003.02': 'CstmrDrctDbtInitn',
+    'pain.008.001.08': 'CstmrDrctDbtInitn'
   };
 
+  /**
+   * The credit transfer formats that are not restricted to SEPA, only these
+   * can be used with other service levels than SEPA.
+   */
+  var CrossBorderFormats = ['pain.001.001.03', 'pain.001.001.09', 'pain.001.001.03.ch.02'];
+
+  /** Namespace of the Swiss Payment Standards formats (pain.xxx.xxx.xx.ch.xx) */
+  var SPS_NS = 'http://www.six-interbank-clearing.com/de/';
+
+  /**
+   * Returns the XML namespace of a pain format. The Swiss formats use their
+   * own namespace, ending in the schema file name.
+   *
+   * @param painFormat  The pain format, e.g. pain.008.001.02.
+   * @return            The namespace URI.
+   */
+  function getPainNamespace(painFormat) {
+    return painFormat.indexOf('.ch.') > -1 ? SPS_NS + painFormat + '.xsd' : XSI_NS + painFormat;
+  }
+
+  /**
+   * Returns the XML version of a pain format, which is the same for matching
+   * transfer and direct debit formats: 2 for pain.001.001.02/pain.008.001.01,
+   * 3 for pain.001.001.03/pain.008.001.02 and 9 for the 2019 versions
+   * pain.001.001.09/pain.008.001.08. The German DK variants of the 2019
+   * versions use the ISO namespaces, so they need no separate entries. Swiss
+   * formats like pain.001.001.03.ch.02 have the version of their ISO base.
+   *
+   * @param painFormat  The pain format, e.g. pain.008.001.02.
+   * @return            The XML version number.
+   */
   function getPainXMLVersion(painFormat) {
     var inc = painFormat.indexOf('pain.008') === 0 ?  1 : 0;
-    return parseInt(painFormat.substr(-2), 10) + inc;
+    return parseInt(painFormat.substr(13, 2), 10) + inc;
   }
 
   function SepaDocument(options) {
+    options = options || {};
     options.painFormat = options.painFormat || 'pain.008.001.02';
+    if (!SEPATypes[options.painFormat]) {
+      throw new Error('Unsupported pain format: ' + options.painFormat);
+    }
     this._painFormat = options.painFormat;
     this._type = SEPATypes[options.painFormat];
     this._paymentInfo = [];
@@ -51,6 +129,124 @@
 
   SepaDocument.Types = SEPATypes;
 
+  /**
+   * Creates a document from an existing SEPA XML file. The pain format is
+   * detected from the namespace of the root element.
+   *
+   * @param xml         The XML string or DOM Document to parse.
+   * @return            The SEPA.Document with all payment info blocks and
+   *                      transactions.
+   * @throws Error      If the input is not a pain document of a supported
+   *                      format.
+   */
+  SepaDocument.fromXML = function(xml) {
+    var body = getDocumentElement(xml, 'pain');
+    var match = /(pain\.\d{3}\.\d{3}\.\d{2}(?:\.ch\.\d{2})?)(?:\.xsd)?$/.exec(body.namespaceURI || '');
+    if (!match || !SEPATypes[match[1]]) {
+      throw new Error('Unsupported SEPA document namespace: ' + body.namespaceURI);
+    }
+
+    var painFormat = match[1];
+    var rootElement = getXMLChildren(body, SEPATypes[painFormat])[0];
+    if (!rootElement) {
+      throw new Error('Missing ' + SEPATypes[painFormat] + ' element');
+    }
+
+    var sepaDoc = new SepaDocument({ painFormat: painFormat });
+    sepaDoc.grpHdr._fromXML(getXMLChildren(rootElement, 'GrpHdr')[0]);
+
+    // The ids are taken as-is, addPaymentInfo would prefix them again.
+    var pmtInfs = getXMLChildren(rootElement, 'PmtInf');
+    for (var i = 0, l = pmtInfs.length; i < l; ++i) {
+      var pi = sepaDoc.createPaymentInfo();
+      pi._fromXML(pmtInfs[i]);
+      sepaDoc._paymentInfo.push(pi);
+    }
+
+    sepaDoc.normalize();
+    return sepaDoc;
+  };
+
+  /** Version of the JSON format written by SepaDocument.toJSON */
+  var JSON_VERSION = 1;
+
+  /** Properties that are written as ISO date strings in the JSON format */
+  var JSON_DATE_PROPERTIES = ['created', 'collectionDate', 'requestedExecutionDate', 'mandateSignatureDate'];
+
+  /** Properties holding a SEPA.Address */
+  var JSON_ADDRESS_PROPERTIES = ['creditorAddress', 'debtorAddress', 'ultimateCreditorAddress', 'ultimateDebtorAddress'];
+
+  /**
+   * Creates a document from the JSON format written by toJSON. The ids are
+   * taken as they are.
+   *
+   * @param json        The JSON object, or a string containing it.
+   * @return            The SEPA.Document.
+   */
+  SepaDocument.fromJSON = function(json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    if (json.version !== JSON_VERSION) {
+      throw new Error('Unsupported JSON version: ' + json.version);
+    }
+
+    var sepaDoc = new SepaDocument({ painFormat: json.painFormat });
+    sepaDoc.sanitize = !!json.sanitize;
+    _propertiesFromJSON(sepaDoc.grpHdr, json.grpHdr);
+    (json.paymentInfo || []).forEach(function(piJSON) {
+      var pi = sepaDoc.createPaymentInfo();
+      _propertiesFromJSON(pi, piJSON);
+      (piJSON.transactions || []).forEach(function(txJSON) {
+        var tx = pi.createTransaction();
+        _propertiesFromJSON(tx, txJSON);
+        pi._payments.push(tx);
+      });
+      sepaDoc._paymentInfo.push(pi);
+    });
+    return sepaDoc;
+  };
+
+  /**
+   * Combines documents of the same pain format and initiating party into one.
+   * The group header is taken from the first document, the payment info
+   * blocks of all documents are added with their ids unchanged.
+   *
+   * @param docs        The array of SEPA.Document objects.
+   * @return            The new SEPA.Document.
+   */
+  SepaDocument.merge = function(docs) {
+    if (!docs.length) {
+      throw new Error('No documents to merge');
+    }
+
+    var first = docs[0];
+    var merged = new SepaDocument({ painFormat: first._painFormat });
+    _copyProperties(first.grpHdr, merged.grpHdr);
+    merged.sanitize = first.sanitize;
+
+    var ids = {};
+    docs.forEach(function(doc) {
+      if (doc._painFormat !== first._painFormat) {
+        throw new Error('Cannot merge ' + doc._painFormat + ' into ' + first._painFormat);
+      }
+      if (doc.grpHdr.initiatorName !== first.grpHdr.initiatorName ||
+          doc.grpHdr.initiatorId !== first.grpHdr.initiatorId) {
+        throw new Error('Cannot merge documents of different initiating parties');
+      }
+      doc._paymentInfo.forEach(function(pi) {
+        if (ids[pi.id]) {
+          throw new Error('Duplicate payment info id ' + pi.id);
+        }
+        ids[pi.id] = true;
+        merged._paymentInfo.push(pi);
+      });
+    });
+
+    merged.normalize();
+    return merged;
+  };
+
   SepaDocument.prototype = {
 
     /** Pain Format used */
@@ -65,22 +261,42 @@
     /** SEPA Document type setting, contains the root element */
     _type: null,
 
+    /**
+     * If true, names, addresses and remittance info are converted to the SEPA
+     * character set and truncated to their maximum length when serializing.
+     */
+    sanitize: false,
+
+    /**
+     * Fields changed by sanitizing during the last serialization, an array of
+     * { path, original, value } objects.
+     */
+    sanitizeReport: null,
+
     /**
      * Adds a Sepa.PaymentInfo block to this document. Its id will be
      * automatically prefixed with the group header id.
      *
      * @param pi        The payment info block.
+     * @throws Error    If the prefixed id is longer than 35 characters, or it
+     *                    is already used in this document.
      */
     addPaymentInfo: function(pi) {
       if (!(pi instanceof SepaPaymentInfo)) {
         throw new Error('Given payment is not member of the PaymentInfo class');
       }
 
-      if (pi.id) {
-        pi.id = this.grpHdr.id + ID_SEPARATOR + pi.id;
-      } else {
-        pi.id = this.grpHdr.id + ID_SEPARATOR + this._paymentInfo.length;
+      var id = this.grpHdr.id + ID_SEPARATOR + (pi.id || this._paymentInfo.length);
+      if (id.length > 35) {
+        throw new Error('Payment info id ' + id + ' is longer than 35 characters');
+      }
+
+      for (var i = 0, l = this._paymentInfo.length; i < l; ++i) {
+        if (this._paymentInfo[i].id === id) {
+          throw new Error('Duplicate payment info id ' + id);
+        }
       }
+      pi.id = id;
       this._paymentInfo.push(pi);
     },
 
@@ -91,6 +307,98 @@
       return new SepaPaymentInfo(this._painFormat);
     },
 
+    /**
+     * Factory method for transactions that are not yet part of a payment info
+     * block, see addTransactions.
+     */
+    createTransaction: function() {
+      return new SepaTransaction(this._painFormat);
+    },
+
+    /**
+     * Adds transactions to new payment info blocks. Transactions are grouped
+     * into one block for each distinct set of payment info properties, like
+     * the creditor account, collection date, local instrument, sequence type,
+     * batch booking or category purpose. The ids of the blocks and
+     * transactions are generated as in addPaymentInfo and addTransaction.
+     *
+     * The options can contain:
+     *
+     * paymentInfo - properties set on each new payment info block, e.g. the
+     *               creditor and the collection date
+     * registry    - a SEPA.MandateRegistry that the sequence type of each
+     *               direct debit is taken from. Once the document was
+     *               submitted, it should be recorded with
+     *               registry.recordDocument().
+     *
+     * @param list        Array of SEPA.Transaction objects, or of objects with
+     *                      a transaction property and payment info properties
+     *                      to override the defaults for single transactions.
+     * @param options     (optional) The options described above.
+     * @return            The array of new payment info blocks.
+     * @throws Error      If a mandate would be collected more than once with
+     *                      FRST, FNAL or OOFF.
+     */
+    addTransactions: function(list, options) {
+      options = options || {};
+      var isDirectDebit = this._painFormat.indexOf('pain.008') === 0;
+      var groups = {};
+      var created = [];
+      var sequenceTypes = [];
+      if (isDirectDebit && options.registry) {
+        // Check all mandates first, so nothing is added if one fails
+        var once = {};
+        sequenceTypes = list.map(function(item) {
+          var mandateId = (item instanceof SepaTransaction ? item : item.transaction).mandateId;
+          var sequenceType = options.registry.getSequenceType(mandateId);
+          if (Object.prototype.hasOwnProperty.call(once, mandateId)) {
+            throw new Error('Mandate ' + mandateId + ' is collected more than once, but its ' + once[mandateId] + ' collection must be the only one');
+          } else if (sequenceType !== 'RCUR') {
+            once[mandateId] = sequenceType;
+          }
+          return sequenceType;
+        });
+      }
+
+      list.forEach(function(item, index) {
+        var tx = item instanceof SepaTransaction ? item : item.transaction;
+        var props = {};
+        [options.paymentInfo || {}, item instanceof SepaTransaction ? {} : item].forEach(function(source) {
+          Object.keys(source).forEach(function(prop) {
+            if (prop !== 'transaction') {
+              props[prop] = source[prop];
+            }
+          });
+        });
+        if (isDirectDebit && options.registry) {
+          props.sequenceType = sequenceTypes[index];
+        }
+
+        var key = Object.keys(props).sort().map(function(prop) {
+          var value = props[prop];
+          if (isDate(value)) {
+            value = value.toISOString().substr(0, 10);
+          } else if (value && typeof value === 'object') {
+            // Addresses are compared by their fields
+            value = JSON.stringify(value instanceof SepaAddress ? _propertiesToJSON(value) : value);
+          }
+          return prop + '=' + value;
+        }).join('\n');
+
+        var pi = groups[key];
+        if (!pi) {
+          pi = groups[key] = this.createPaymentInfo();
+          Object.keys(props).forEach(function(prop) {
+            pi[prop] = props[prop];
+          });
+          this.addPaymentInfo(pi);
+          created.push(pi);
+        }
+        pi.addTransaction(tx);
+      }, this);
+      return created;
+    },
+
     /**
      * Normalize fields like the control sum or transaction count. This will be
      * called automatically when serialized to XML.
@@ -100,32 +408,93 @@
       var txCount = 0;
       for (var i = 0, l = this._paymentInfo.length; i < l; ++i) {
         this._paymentInfo[i].normalize();
-        controlSum += this._paymentInfo[i].controlSum;
+        controlSum += sumAmounts(this._paymentInfo[i]._payments);
         txCount += this._paymentInfo[i].transactionCount;
       }
-      this.grpHdr.controlSum = controlSum;
+      this.grpHdr.controlSum = formatControlSum(controlSum);
       this.grpHdr.transactionCount = txCount;
     },
 
+    /**
+     * Checks the group header, all payment info blocks and their transactions
+     * for missing or malformed fields, and the payment info, transaction and
+     * end-to-end ids for duplicates.
+     *
+     * @param submittedIds  (optional) A SEPA.SubmittedIds object to also check
+     *                        the ids against previously submitted documents.
+     * @throws ValidationError      If at least one field is invalid.
+     */
+    validate: function(submittedIds) {
+      var errors = [];
+      this.grpHdr._validate(errors, 'grpHdr.', this.sanitize);
+      if (!this._paymentInfo.length) {
+        errors.push({ path: 'paymentInfo', message: 'must contain at least one payment info block' });
+      }
+      for (var i = 0, l = this._paymentInfo.length; i < l; ++i) {
+        this._paymentInfo[i]._validate(errors, 'paymentInfo[' + i + '].', this.sanitize);
+      }
+      this._validateUniqueIds(errors);
+      if (submittedIds) {
+        submittedIds._validate(this, errors);
+      }
+      throwValidationErrors(errors);
+    },
+
+    /**
+     * Collects validation errors for ids used more than once in this document.
+     * The end-to-end id NOTPROVIDED may be used several times.
+     *
+     * @param errors      The array to push { path, message } objects to.
+     */
+    _validateUniqueIds: function(errors) {
+      var seen = { paymentInfo: {}, transaction: {}, end2end: {} };
+      var check = function(ids, id, path) {
+        if (!id) {
+          return;
+        } else if (Object.prototype.hasOwnProperty.call(ids, id)) {
+          errors.push({ path: path, message: 'is not unique, ' + ids[id] + ' has the same value' });
+        } else {
+          ids[id] = path;
+        }
+      };
+
+      this._paymentInfo.forEach(function(pi, i) {
+        var path = 'paymentInfo[' + i + '].';
+        check(seen.paymentInfo, pi.id, path + 'id');
+        pi._payments.forEach(function(tx, j) {
+          var txPath = path + 'transactions[' + j + '].';
+          check(seen.transaction, tx.id, txPath + 'id');
+          if (tx.end2endId !== 'NOTPROVIDED') {
+            check(seen.end2end, tx.end2endId, txPath + 'end2endId');
+          }
+        });
+      });
+    },
+
     /**
      * Serialize this document to a DOM Document.
      *
-     * @return      The DOM Document.
+     * @param validate    If true, the document is validated first and an
+     *                      error is thrown if it is invalid.
+     * @return            The DOM Document.
      */
-    toXML: function() {
+    toXML: function(validate) {
+      if (validate) {
+        this.validate();
+      }
       this.normalize();
 
-      var docNS = 'urn:iso:std:iso:20022:tech:xsd:' + this._painFormat;
+      var docNS = getPainNamespace(this._painFormat);
       var doc = createDocument(docNS, 'Document');
       var body = doc.documentElement;
 
-      body.setAttributeNS(XSI_NAMESPACE, 'xsi:schemaLocation', XSI_NS +
-        this._painFormat + ' ' + this._painFormat + '.xsd');
+      body.setAttributeNS(XSI_NAMESPACE, 'xsi:schemaLocation', docNS + ' ' + this._painFormat + '.xsd');
       var rootElement = doc.createElementNS(docNS, this._type);
 
-      rootElement.appendChild(this.grpHdr.toXML(doc));
+      var report = this.sanitizeReport = this.sanitize ? [] : null;
+      rootElement.appendChild(this.grpHdr.toXML(doc, report, 'grpHdr.'));
       for (var i = 0, l = this._paymentInfo.length; i < l; ++i) {
-        rootElement.appendChild(this._paymentInfo[i].toXML(doc));
+        rootElement.appendChild(this._paymentInfo[i].toXML(doc, report, 'paymentInfo[' + i + '].'));
       }
 
       doc.documentElement.appendChild(rootElement);
@@ -135,10 +504,395 @@
     /**
      * Serialize this document to an XML string.
      *
-     * @return      The XML string of this document.
+     * @param validate    If true, the document is validated first and an
+     *                      error is thrown if it is invalid.
+     * @return            The XML string of this document.
      */
-    toString: function() {
-      return serializeToString(this.toXML());
+    toString: function(validate) {
+      return serializeToString(this.toXML(validate));
+    },
+
+    /**
+     * Converts this document to a plain object that can be stored as JSON and
+     * turned back into a document with SEPA.Document.fromJSON. The object has
+     * this structure:
+     *
+     * { version, painFormat, sanitize, grpHdr: {...}, paymentInfo: [{
+     *     ..., transactions: [{...}]
+     * }]}
+     *
+     * The group header, payment info blocks and transactions contain their
+     * public properties, dates as ISO strings and amounts as decimal strings.
+     *
+     * @return            The plain object.
+     */
+    toJSON: function() {
+      return {
+        version: JSON_VERSION,
+        painFormat: this._painFormat,
+        sanitize: this.sanitize,
+        grpHdr: _propertiesToJSON(this.grpHdr),
+        paymentInfo: this._paymentInfo.map(function(pi) {
+          var piJSON = _propertiesToJSON(pi);
+          piJSON.transactions = pi._payments.map(function(tx) {
+            var txJSON = _propertiesToJSON(tx);
+            var units = tx.amountCents;
+            txJSON.amount = isNaN(units) ? String(tx.amount) : formatAmount(units, currencyDecimals(tx.currency));
+            return txJSON;
+          });
+          return piJSON;
+        })
+      };
+    },
+
+    /**
+     * Serialize this document to a node.js Readable stream of strings. The
+     * output is the same as toString(), but the XML is created one transaction
+     * at a time, so large documents need much less memory. The stream can also
+     * be read with for await.
+     *
+     * @param validate    If true, the document is validated first and an
+     *                      error is thrown if it is invalid.
+     * @return            The Readable stream.
+     */
+    toStream: function(validate) {
+      if (typeof window !== 'undefined') {
+        throw new Error('Streaming is only available in node.js');
+      }
+
+      var Readable = require('stream').Readable;
+      var next = this._createChunkReader(validate);
+      return new Readable({
+        encoding: 'utf8',
+        read: function() {
+          try {
+            this.push(next());
+          } catch (e) {
+            this.destroy(e);
+          }
+        }
+      });
+    },
+
+    /**
+     * Creates a function that serializes this document piece by piece, see
+     * toStream. Each call returns the next XML string chunk, or null after the
+     * last one.
+     *
+     * @param validate    If true, the document is validated first.
+     * @return            The function returning the chunks.
+     */
+    _createChunkReader: function(validate) {
+      if (validate) {
+        this.validate();
+      }
+      this.normalize();
+
+      var docNS = getPainNamespace(this._painFormat);
+      var doc = createDocument(docNS, 'Document');
+      doc.documentElement.setAttributeNS(XSI_NAMESPACE, 'xsi:schemaLocation', docNS + ' ' + this._painFormat + '.xsd');
+      var rootElement = doc.createElementNS(docNS, this._type);
+
+      var report = this.sanitizeReport = this.sanitize ? [] : null;
+      rootElement.appendChild(this.grpHdr.toXML(doc, report, 'grpHdr.'));
+      doc.documentElement.appendChild(rootElement);
+
+      // The document with just the group header provides the opening and
+      // closing tags, the other elements are serialized one by one.
+      var closing = '</' + this._type + '></Document>';
+      var opening = serializeToString(doc);
+      opening = opening.substr(0, opening.length - closing.length);
+
+      var chunkDoc = createDocument(docNS, 'Document');
+      var serializeElement = function(element) {
+        chunkDoc.documentElement.appendChild(element);
+        var str = serializeToString(chunkDoc);
+        chunkDoc.documentElement.removeChild(element);
+        return str.substring(str.indexOf('>') + 1, str.lastIndexOf('</Document>'));
+      };
+
+      var paymentInfos = this._paymentInfo;
+      var piIndex = -1;
+      var txIndex = -1;
+      return function() {
+        if (piIndex === -1) {
+          piIndex = 0;
+          return opening;
+        } else if (piIndex > paymentInfos.length) {
+          return null;
+        } else if (piIndex === paymentInfos.length) {
+          piIndex++;
+          return closing;
+        }
+
+        var pi = paymentInfos[piIndex];
+        var path = 'paymentInfo[' + piIndex + '].';
+        if (txIndex === -1) {
+          txIndex = 0;
+          var pmtInf = serializeElement(pi.toXML(chunkDoc, report, path, true));
+          return pmtInf.substr(0, pmtInf.length - '</PmtInf>'.length);
+        } else if (txIndex < pi._payments.length) {
+          return serializeElement(pi._transactionToXML(chunkDoc, txIndex++, report, path));
+        }
+
+        piIndex++;
+        txIndex = -1;
+        return '</PmtInf>';
+      };
+    },
+
+    /**
+     * Splits this document into several documents that stay within the given
+     * limits. The limits can contain:
+     *
+     * maxTransactions - the maximum number of transactions per document
+     * maxControlSum   - the maximum sum of the amounts per document
+     * maxBytes        - the maximum size of the UTF-8 encoded XML
+     *
+     * The new documents get the message id of this document followed by a
+     * running number. Payment info blocks that are split keep their
+     * properties and get a running number appended to their id as well. The
+     * transactions are shared with this document.
+     *
+     * @param limits      The limits described above.
+     * @return            The array of normalized SEPA.Document objects.
+     * @throws Error      If a transaction exceeds the limits on its own, or a
+     *                      derived id is longer than 35 characters.
+     */
+    split: function(limits) {
+      limits = limits || {};
+      var maxTransactions = limits.maxTransactions || Infinity;
+      var maxSum = limits.maxControlSum ? parseAmount(limits.maxControlSum, true, CONTROL_SUM_DECIMALS) : Infinity;
+      var maxBytes = limits.maxBytes || Infinity;
+      var sizes = limits.maxBytes ? this._getSerializedSizes() : null;
+
+      var parts = [];
+      var pieces = [];
+      var part = null;
+      this._paymentInfo.forEach(function(pi, i) {
+        var piece = null;
+        pi._payments.forEach(function(tx, j) {
+          var amount = parseTransactionAmount(tx, true);
+          var bytes = sizes ? sizes.transactions[i][j] + (piece ? 0 : sizes.paymentInfos[i]) : 0;
+          if (part && (part.count + 1 > maxTransactions || part.sum + amount > maxSum ||
+                       part.bytes + bytes > maxBytes)) {
+            part = null;
+          }
+          if (!part) {
+            part = { doc: this._createSplitDocument(parts.length), count: 0, sum: 0, bytes: sizes ? sizes.document : 0 };
+            parts.push(part);
+            piece = null;
+            bytes = sizes ? sizes.transactions[i][j] + sizes.paymentInfos[i] : 0;
+            if (amount > maxSum || part.bytes + bytes > maxBytes) {
+              throw new Error('Transaction ' + tx.end2endId + ' exceeds the limits on its own');
+            }
+          }
+
+          if (!piece) {
+            piece = part.doc.createPaymentInfo();
+            _copyProperties(pi, piece);
+            piece._payments = [];
+            part.doc._paymentInfo.push(piece);
+            pieces.push({ piece: piece, original: pi });
+          }
+          piece._payments.push(tx);
+          part.count++;
+          part.sum += amount;
+          part.bytes += bytes;
+        }, this);
+      }, this);
+
+      parts.forEach(function(part) {
+        if (part.doc.grpHdr.id.length > 35) {
+          throw new Error('Message id ' + part.doc.grpHdr.id + ' of the split documents is longer than 35 characters');
+        }
+      });
+
+      pieces.forEach(function(entry) {
+        var siblings = pieces.filter(function(other) {
+          return other.original === entry.original;
+        });
+        if (siblings.length > 1) {
+          entry.piece.id = entry.original.id + ID_SEPARATOR + siblings.indexOf(entry);
+        }
+        if (entry.piece.id.length > 35) {
+          throw new Error('Payment info id ' + entry.piece.id + ' of the split documents is longer than 35 characters');
+        }
+      });
+
+      return parts.map(function(part) {
+        part.doc.normalize();
+        return part.doc;
+      });
+    },
+
+    /**
+     * Creates an empty document for split, with the group header of this
+     * document and a message id derived from its own.
+     *
+     * @param index       The running number of the document.
+     * @return            The new SEPA.Document.
+     */
+    _createSplitDocument: function(index) {
+      var doc = new SepaDocument({ painFormat: this._painFormat });
+      _copyProperties(this.grpHdr, doc.grpHdr);
+      doc.grpHdr.id = this.grpHdr.id + ID_SEPARATOR + index;
+      doc.sanitize = this.sanitize;
+      return doc;
+    },
+
+    /**
+     * Calculates the UTF-8 sizes of the serialized parts of this document for
+     * split. The sizes include room for the running numbers added to the ids.
+     *
+     * @return            Object with the size of the document without payment
+     *                      info blocks, and arrays with the sizes of the
+     *                      payment info blocks without transactions and of
+     *                      the transactions of each block.
+     */
+    _getSerializedSizes: function() {
+      var sanitizeReport = this.sanitizeReport;
+      var next = this._createChunkReader(false);
+      this.sanitizeReport = sanitizeReport;
+
+      var idRoom = (ID_SEPARATOR + '999999').length;
+      var sizes = { document: _utf8Length(next()) + idRoom, paymentInfos: [], transactions: [] };
+      for (var i = 0, l = this._paymentInfo.length; i < l; ++i) {
+        sizes.paymentInfos.push(_utf8Length(next()) + idRoom);
+        sizes.transactions.push(this._paymentInfo[i]._payments.map(function() {
+          return _utf8Length(next());
+        }));
+        sizes.paymentInfos[i] += _utf8Length(next());
+      }
+      sizes.document += _utf8Length(next());
+      return sizes;
+    },
+
+    /**
+     * Validates the XML of this document against the XSD schema of its pain
+     * format. See validateSchema for details.
+     *
+     * @param schemaDir   (optional) Directory to read the schema from.
+     * @return            Promise resolving to { valid, errors }.
+     */
+    validateSchema: function(schemaDir) {
+      return validateSchema(this.toString(), this._painFormat + '.xsd', schemaDir);
+    },
+
+    /**
+     * Matches the booked entries of bank statements against the transactions
+     * of this document by their end-to-end id.
+     *
+     * The result contains these arrays:
+     *
+     * settled  - { transaction, entry, details } for booked transactions
+     * returned - { transaction, entry, details } for returned or reversed
+     *            transactions, details.returnReason contains the reason code
+     * missing  - { transaction } for transactions not found in the statements
+     *
+     * @param statements  A result of SEPA.parseStatement or an array of them.
+     * @return            The object with the settled, returned and missing arrays.
+     */
+    reconcile: function(statements) {
+      var found = {};
+      statements = Array.isArray(statements) ? statements : [statements];
+      statements.forEach(function(msg) {
+        msg.statements.forEach(function(stmt) {
+          stmt.entries.forEach(function(entry) {
+            if (entry.status !== 'BOOK') {
+              return;
+            }
+            entry.details.forEach(function(details) {
+              if (details.end2endId && details.end2endId !== 'NOTPROVIDED') {
+                var isReturn = !!(details.returnReason || entry.reversal);
+                var prev = found[details.end2endId];
+                // A return supersedes the booking of the original collection
+                if (!prev || (isReturn && !prev.isReturn)) {
+                  found[details.end2endId] = { entry: entry, details: details, isReturn: isReturn };
+                }
+              }
+            });
+          });
+        });
+      });
+
+      var result = { settled: [], returned: [], missing: [] };
+      for (var i = 0, l = this._paymentInfo.length; i < l; ++i) {
+        var payments = this._paymentInfo[i]._payments;
+        for (var j = 0, k = payments.length; j < k; ++j) {
+          var match = found[payments[j].end2endId];
+          if (!match) {
+            result.missing.push({ transaction: payments[j] });
+          } else {
+            (match.isReturn ? result.returned : result.settled).push({
+              transaction: payments[j],
+              entry: match.entry,
+              details: match.details
+            });
+          }
+        }
+      }
+      return result;
+    },
+
+    /**
+     * Annotates the payment info blocks and transactions of this document with
+     * the statuses of a pain.002 status report. Payment info blocks are matched
+     * by their id, transactions by their id or end-to-end id. A transaction
+     * without an own status inherits the status of its payment info block or
+     * of the whole group, unless the group was only partially accepted.
+     *
+     * @param report      A result of SEPA.parseStatusReport.
+     * @return            The array of rejected transactions.
+     */
+    applyStatusReport: function(report) {
+      if (report.originalMessageId && report.originalMessageId !== this.grpHdr.id) {
+        throw new Error('Status report refers to message ' + report.originalMessageId +
+                        ', not ' + this.grpHdr.id);
+      }
+
+      var groupStatus = report.status === 'PART' ? null : report.status;
+      var rejected = [];
+      this._paymentInfo.forEach(function(pmtInf) {
+        var pmtInfStatus = null;
+        report.paymentInfos.forEach(function(pmtInfReport) {
+          if (pmtInfReport.paymentInfoId === pmtInf.id) {
+            pmtInfStatus = pmtInfReport;
+          }
+        });
+
+        if (pmtInfStatus && pmtInfStatus.status) {
+          pmtInf.status = pmtInfStatus.status;
+          pmtInf.statusReasons = pmtInfStatus.reasons;
+        } else if (groupStatus) {
+          pmtInf.status = groupStatus;
+          pmtInf.statusReasons = report.reasons;
+        }
+
+        var inherited = pmtInf.status === 'PART' ? null : pmtInf.status;
+        pmtInf._payments.forEach(function(tx) {
+          var txStatus = null;
+          (pmtInfStatus ? pmtInfStatus.transactions : []).forEach(function(txReport) {
+            if ((txReport.instructionId && txReport.instructionId === tx.id) ||
+                (!txReport.instructionId && txReport.end2endId === tx.end2endId)) {
+              txStatus = txReport;
+            }
+          });
+
+          if (txStatus) {
+            tx.status = txStatus.status;
+            tx.statusReasons = txStatus.reasons;
+          } else if (inherited) {
+            tx.status = inherited;
+            tx.statusReasons = pmtInf.statusReasons;
+          }
+
+          if (tx.status === 'RJCT') {
+            rejected.push(tx);
+          }
+        });
+      });
+      return rejected;
     }
   };
 
@@ -159,16 +913,58 @@
     created: '',
     transactionCount: 0,
     initiatorName: '',
-    controlSum: 0,
+    controlSum: '0.00',
+
+    /** (optional) Identifier of the initiating party, and whether it is an OrgId or PrvtId */
+    initiatorId: null,
+    initiatorIdType: 'OrgId',
+
     batchBooking: false,
     grouping: 'MIXD',
 
+    /**
+     * Collects validation errors for this group header.
+     *
+     * @param errors      The array to push { path, message } objects to.
+     * @param path        The path prefix for field names.
+     * @param sanitize    (optional) If true, texts that are truncated when
+     *                      sanitizing may be too long.
+     */
+    _validate: function(errors, path, sanitize) {
+      var c = createValidationHelper(errors, path);
+      c('id', isText(this.id, 1, 35), 'must be 1 to 35 characters long');
+      c('created', isDate(this.created), 'must be a valid date');
+      c('initiatorName', isSanitizedText(this.initiatorName, 1, 70, sanitize), 'must be 1 to 70 characters long');
+      validatePartyId(c, this, 'initiator');
+    },
+
+    /**
+     * Reads the properties of this group header from a DOM Element.
+     *
+     * @param grpHdr      The DOM <GrpHdr> Element.
+     */
+    _fromXML: function(grpHdr) {
+      var g = getXMLValue;
+
+      this.id = g(grpHdr, 'MsgId');
+      this.created = new Date(g(grpHdr, 'CreDtTm'));
+      readPartyIdFromXML(this, 'initiator', getXMLChildren(grpHdr, 'InitgPty')[0]);
+      this.batchBooking = g(grpHdr, 'BtchBookg') === 'true';
+      this.grouping = g(grpHdr, 'Grpg') || this.grouping;
+    },
+
     /*
      * Serialize this document to a DOM Element.
      *
-     * @return      The DOM <GrpHdr> Element.
+     * @param doc           The DOM Document to create elements with.
+     * @param sanitizeReport  (optional) If set, text fields are sanitized and
+     *                          changes are added to this array.
+     * @param path          (optional) The path prefix for the sanitize report.
+     * @return              The DOM <GrpHdr> Element.
      */
-    toXML: function(doc) {
+    toXML: function(doc, sanitizeReport, path) {
+      var s = createSanitizeHelper(this._painFormat, sanitizeReport, path);
+      var n = createXMLHelper(doc, true, false);
       var r = createXMLHelper(doc, true, true);
       var grpHdr = doc.createElementNS(doc.documentElement.namespaceURI, 'GrpHdr');
       var painVersion = getPainXMLVersion(this._painFormat);
@@ -182,14 +978,16 @@
       }
 
       r(grpHdr, 'NbOfTxs', this.transactionCount);
-      r(grpHdr, 'CtrlSum', this.controlSum.toFixed(2));
+      r(grpHdr, 'CtrlSum', this.controlSum);
 
       // XML v2 formats, add grouping + batch booking nodes
       if (painVersion === 2) {
         r(grpHdr, 'Grpg', this.grouping);
       }
 
-      r(grpHdr, 'InitgPty', 'Nm', this.initiatorName);
+      var initgPty = n(grpHdr, 'InitgPty');
+      r(initgPty, 'Nm', s('initiatorName', this.initiatorName, 70));
+      appendPartyIdToXML(doc, initgPty, this.initiatorId, this.initiatorIdType, this._painFormat);
 
       return grpHdr;
     },
@@ -237,16 +1035,40 @@
     /** Grouping, defines structure handling for XML file */
     grouping: 'MIXD',
 
-    /** Sum of all payments, will be automatically set */
-    controlSum: 0,
+    /** Sum of all payments as a decimal string, will be automatically set */
+    controlSum: '0.00',
 
     /* Instrumentation code:
      * 'CORE' - Standard Transfer
      * 'COR1' - Expedited Transfer
      * 'B2B'  - Business Transfer
+     * 'INST' - Instant credit transfer (SCT Inst), only for transfers
+     *
+     * The DK direct debit formats (pain.008.003.xx) require it.
      */
     localInstrumentation: null,
 
+    /**
+     * (optional) Category purpose code for all payments, e.g. 'SALA' for
+     * salaries or 'SUPP' for supplier payments.
+     */
+    categoryPurpose: null,
+
+    /**
+     * Service level code. SEPA payments must use 'SEPA', credit transfers
+     * outside of SEPA can use other codes like 'URGP' or null to leave it out.
+     */
+    serviceLevel: 'SEPA',
+
+    /**
+     * Who bears the charges:
+     * 'SLEV' - Following the service level, required for SEPA payments
+     * 'DEBT' - The debtor
+     * 'CRED' - The creditor
+     * 'SHAR' - Shared between debtor and creditor
+     */
+    chargeBearer: 'SLEV',
+
     /**
      * 'FRST' - First transfer
      * 'RCUR' - Subsequent transfer
@@ -261,11 +1083,23 @@
     /** Execution date of the SEPA order */
     requestedExecutionDate: null,
 
+    /**
+     * If true, the requested execution date is written with its time where
+     * the format allows it (pain.001.001.09), e.g. for instant transfers.
+     */
+    withExecutionTime: false,
+
     /** Id assigned to the creditor */
     creditorId: '',
 
-    /** Name, Address, IBAN and BIC of the creditor */
+    /**
+     * Name, Address, IBAN and BIC of the creditor. The address is a
+     * SEPA.Address or a plain object with its fields. Street, city and
+     * country are the older way to set an address, they are only used if
+     * there is no address.
+     */
     creditorName: '',
+    creditorAddress: null,
     creditorStreet: null,
     creditorCity: null,
     creditorCountry: null,
@@ -275,46 +1109,98 @@
     /** Id assigned to the debtor for Transfer payments */
     debtorId: '',
 
-    /** Name, Address, IBAN and BIC of the debtor */
+    /** Name, Address, IBAN and BIC of the debtor, like for the creditor */
     debtorName: '',
+    debtorAddress: null,
     debtorStreet: null,
     debtorCity: null,
     debtorCountry: null,
     debtorIBAN: '',
     debtorBIC: '',
 
+    /**
+     * (optional) Name, identifier and address of the party the payments are
+     * made on behalf of. Only the ultimate creditor is used for direct debits
+     * and only the ultimate debtor for transfers. The id type is OrgId or
+     * PrvtId.
+     */
+    ultimateCreditorName: null,
+    ultimateCreditorId: null,
+    ultimateCreditorIdType: 'OrgId',
+    ultimateCreditorAddress: null,
+    ultimateDebtorName: null,
+    ultimateDebtorId: null,
+    ultimateDebtorIdType: 'OrgId',
+    ultimateDebtorAddress: null,
+
     /** SEPA order priority, can be HIGH or NORM */
     instructionPriority: 'NORM',
 
+    /**
+     * If true, a collection or execution date that is not a TARGET2 business
+     * day is moved to the next business day when normalizing.
+     */
+    adjustDates: false,
+
+    /**
+     * Status and reasons from a pain.002 status report, set by
+     * SepaDocument.applyStatusReport.
+     */
+    status: null,
+    statusReasons: null,
+
     /** Number of transactions in this payment info block */
     get transactionCount() {
       return this._payments.length;
     },
 
+    /** True, if this is a block of instant credit transfers */
+    get instant() {
+      return this.method === PaymentInfoTypes.Transfer && this.localInstrumentation === 'INST';
+    },
+
     /**
      * Normalize fields like the control sum or transaction count. This will
      * _NOT_ be called when serialized to XML and must be called manually.
      */
     normalize: function() {
-      var controlSum = 0;
-      for (var i = 0, l = this._payments.length; i < l; ++i) {
-        controlSum += this._payments[i].amount;
+      this.controlSum = formatControlSum(sumAmounts(this._payments));
+
+      // Instant transfers are executed on all days
+      if (this.adjustDates && !this.instant) {
+        var dateField = this.method === PaymentInfoTypes.DirectDebit ? 'collectionDate' : 'requestedExecutionDate';
+        if (isDate(this[dateField]) && !isBusinessDay(this[dateField])) {
+          this[dateField] = nextBusinessDay(this[dateField]);
+        }
       }
-      this.controlSum = controlSum;
     },
 
     /**
-     * Adds a transaction to this payment. The transaction id will be prefixed
-     * by the payment info id.
+     * Adds a transaction to this payment. If the transaction has no id, it is
+     * set to the payment info id followed by a running number. Duplicates
+     * across payment info blocks are reported when validating the document.
      *
      * @param pmt       The Transacation to add.
+     * @throws Error    If the transaction id is longer than 35 characters, or
+     *                    the id or end-to-end id is already used in this block.
      */
     addTransaction: function(pmt) {
       if (!(pmt instanceof SepaTransaction)) {
         throw new Error('Given Transaction is not member of the SepaTransaction class');
       }
 
-      pmt.id = (pmt.id || this.id + ID_SEPARATOR + this._payments.length).slice(0, 35);
+      pmt.id = pmt.id || this.id + ID_SEPARATOR + this._payments.length;
+      if (String(pmt.id).length > 35) {
+        throw new Error('Transaction id ' + pmt.id + ' is longer than 35 characters');
+      }
+
+      for (var i = 0, l = this._payments.length; i < l; ++i) {
+        if (this._payments[i].id === pmt.id) {
+          throw new Error('Duplicate transaction id ' + pmt.id);
+        } else if (pmt.end2endId && pmt.end2endId !== 'NOTPROVIDED' && this._payments[i].end2endId === pmt.end2endId) {
+          throw new Error('Duplicate end-to-end id ' + pmt.end2endId);
+        }
+      }
       this._payments.push(pmt);
     },
 
@@ -322,38 +1208,173 @@
       return new SepaTransaction(this._painFormat);
     },
 
-    /*
-     * Serialize this document to a DOM Element.
+    /**
+     * Checks this payment info block and its transactions for missing or
+     * malformed fields.
      *
-     * @return      The DOM <PmtInf> Element.
+     * @throws ValidationError      If at least one field is invalid.
      */
-    toXML: function(doc) {
-      var n = createXMLHelper(doc, true, false);
-      //var o = createXMLHelper(doc, false, true);
-      var r = createXMLHelper(doc, true, true);
-      var pmtInf = doc.createElementNS(doc.documentElement.namespaceURI, 'PmtInf');
-
-      r(pmtInf, 'PmtInfId', this.id);
-      r(pmtInf, 'PmtMtd', this.method);
-      // XML v3 formats, add grouping + batch booking nodes
+    validate: function() {
+      var errors = [];
+      this._validate(errors, '');
+      throwValidationErrors(errors);
+    },
 
-      var painVersion = getPainXMLVersion(this._painFormat);
-      if (painVersion === 3) {
+    /**
+     * Collects validation errors for this payment info block and its
+     * transactions.
+     *
+     * @param errors      The array to push { path, message } objects to.
+     * @param path        The path prefix for field names.
+     * @param sanitize    (optional) If true, texts that are truncated when
+     *                      sanitizing may be too long.
+     */
+    _validate: function(errors, path, sanitize) {
+      var c = createValidationHelper(errors, path);
+      var pullFrom = this.method === PaymentInfoTypes.DirectDebit ? 'creditor' : 'debtor';
+      var ibanResult = {};
+
+      c('id', isText(this.id, 1, 35), 'must be 1 to 35 characters long');
+      c('serviceLevel', !this.serviceLevel || isText(this.serviceLevel, 1, 4), 'must be 1 to 4 characters long');
+      c('serviceLevel', this.serviceLevel === 'SEPA' || (this.method === PaymentInfoTypes.Transfer && CrossBorderFormats.indexOf(this._painFormat) > -1),
+        'must be SEPA for direct debits and for ' + this._painFormat);
+      c('chargeBearer', ['SLEV', 'DEBT', 'CRED', 'SHAR'].indexOf(this.chargeBearer) > -1 || (!this.chargeBearer && this.serviceLevel !== 'SEPA'),
+        'must be one of SLEV, DEBT, CRED or SHAR');
+      c('chargeBearer', this.serviceLevel !== 'SEPA' || this.chargeBearer === 'SLEV', 'must be SLEV for SEPA payments');
+      c('categoryPurpose', !this.categoryPurpose || /^[A-Z]{4}$/.test(this.categoryPurpose), 'must be a four letter code');
+      c('categoryPurpose', !this.categoryPurpose || getPainXMLVersion(this._painFormat) >= 3, 'is not supported by ' + this._painFormat);
+      c(pullFrom + 'Name', isSanitizedText(this[pullFrom + 'Name'], 1, 70, sanitize), 'must be 1 to 70 characters long');
+      c(pullFrom + 'IBAN', validateIBAN(this[pullFrom + 'IBAN'], ibanResult), 'must be a valid IBAN (' + ibanResult.reason + ')');
+      c(pullFrom + 'BIC', !this[pullFrom + 'BIC'] || validateBIC(this[pullFrom + 'BIC']), 'must be a valid BIC');
+      c(pullFrom + 'BIC', this._painFormat.indexOf('.ch.') === -1 || this[pullFrom + 'BIC'], 'is required for ' + this._painFormat);
+
+      if (this.method === PaymentInfoTypes.DirectDebit) {
+        c('creditorId', isText(this.creditorId, 8, 35) && validateCreditorID(this.creditorId), 'must be a valid creditor id');
+        c('collectionDate', isDate(this.collectionDate), 'must be a valid date');
+        c('sequenceType', ['FRST', 'RCUR', 'OOFF', 'FNAL'].indexOf(this.sequenceType) > -1, 'must be one of FRST, RCUR, OOFF or FNAL');
+        c('localInstrumentation', !this.localInstrumentation || ['CORE', 'COR1', 'B2B'].indexOf(this.localInstrumentation) > -1, 'must be one of CORE, COR1 or B2B');
+        c('localInstrumentation', this.localInstrumentation || !/^pain\.008\.003\./.test(this._painFormat), 'is required for ' + this._painFormat);
+      } else {
+        c('requestedExecutionDate', isDate(this.requestedExecutionDate), 'must be a valid date');
+      }
+
+      if (this.instant) {
+        c('serviceLevel', this.serviceLevel === 'SEPA', 'must be SEPA for instant transfers');
+        // The EPC and DK formats have no local instrument for transfers
+        c('localInstrumentation', getPainXMLVersion(this._painFormat) >= 3 && !/^pain\.001\.00[23]\./.test(this._painFormat),
+          'can not be INST in ' + this._painFormat);
+      }
+
+      validateAddress(c, this, pullFrom, this._painFormat, sanitize);
+      validateUltimateParty(c, this, pullFrom === 'creditor' ? 'ultimateCreditor' : 'ultimateDebtor', this._painFormat, sanitize);
+
+      c('transactions', this._payments.length > 0, 'must contain at least one transaction');
+      for (var i = 0, l = this._payments.length; i < l; ++i) {
+        this._payments[i]._validate(errors, path + 'transactions[' + i + '].', this, sanitize);
+      }
+    },
+
+    /**
+     * Reads the properties and transactions of this payment info block from a
+     * DOM Element. Ids are kept as they are in the XML.
+     *
+     * @param pmtInf      The DOM <PmtInf> Element.
+     */
+    _fromXML: function(pmtInf) {
+      var g = getXMLValue;
+
+      this.id = g(pmtInf, 'PmtInfId');
+      this.method = g(pmtInf, 'PmtMtd');
+      this.batchBooking = g(pmtInf, 'BtchBookg') === 'true';
+      this.localInstrumentation = g(pmtInf, 'PmtTpInf', 'LclInstrm', 'Cd');
+      this.categoryPurpose = g(pmtInf, 'PmtTpInf', 'CtgyPurp', 'Cd');
+      this.serviceLevel = g(pmtInf, 'PmtTpInf', 'SvcLvl', 'Cd');
+      this.chargeBearer = g(pmtInf, 'ChrgBr');
+      this.instructionPriority = g(pmtInf, 'PmtTpInf', 'InstrPrty') || this.instructionPriority;
+
+      if (this.method === PaymentInfoTypes.DirectDebit) {
+        this.sequenceType = g(pmtInf, 'PmtTpInf', 'SeqTp');
+        this.collectionDate = new Date(g(pmtInf, 'ReqdColltnDt'));
+        // The version 2 formats carry the creditor id in each transaction
+        var directDebit = getXMLChildren(getXMLChildren(pmtInf, 'DrctDbtTxInf')[0], 'DrctDbtTx')[0];
+        this.creditorId = readCreditorSchemeIdFromXML(getXMLChildren(pmtInf, 'CdtrSchmeId')[0]) ||
+                          readCreditorSchemeIdFromXML(getXMLChildren(directDebit, 'CdtrSchmeId')[0]);
+      } else {
+        var dateTime = g(pmtInf, 'ReqdExctnDt', 'DtTm');
+        this.withExecutionTime = !!dateTime;
+        this.requestedExecutionDate = new Date(dateTime || g(pmtInf, 'ReqdExctnDt', 'Dt') || g(pmtInf, 'ReqdExctnDt'));
+      }
+
+      var pullFrom = this.method === PaymentInfoTypes.DirectDebit ? 'creditor' : 'debtor';
+      var emitterNodeName = this.method === PaymentInfoTypes.DirectDebit ? 'Cdtr' : 'Dbtr';
+      readPartyFromXML(this, pullFrom, pmtInf, emitterNodeName);
+      var ultimate = getXMLChildren(pmtInf, 'Ultmt' + emitterNodeName)[0];
+      readPartyIdFromXML(this, pullFrom === 'creditor' ? 'ultimateCreditor' : 'ultimateDebtor', ultimate);
+      this[pullFrom === 'creditor' ? 'ultimateCreditorAddress' : 'ultimateDebtorAddress'] =
+        readAddressFromXML(getXMLChildren(ultimate, 'PstlAdr')[0]);
+
+      var txNodes = getXMLChildren(pmtInf, this.method === PaymentInfoTypes.DirectDebit ?
+        TransactionTypes.DirectDebit : TransactionTypes.Transfer);
+      for (var i = 0, l = txNodes.length; i < l; ++i) {
+        var tx = this.createTransaction();
+        tx._fromXML(txNodes[i]);
+        this._payments.push(tx);
+      }
+      this.normalize();
+    },
+
+    /*
+     * Serialize this document to a DOM Element.
+     *
+     * @param doc           The DOM Document to create elements with.
+     * @param sanitizeReport  (optional) If set, text fields are sanitized and
+     *                          changes are added to this array.
+     * @param path          (optional) The path prefix for the sanitize report.
+     * @param skipTransactions  (optional) If true, the transactions are not
+     *                            added to the element.
+     * @return              The DOM <PmtInf> Element.
+     */
+    toXML: function(doc, sanitizeReport, path, skipTransactions) {
+      var s = createSanitizeHelper(this._painFormat, sanitizeReport, path);
+      var n = createXMLHelper(doc, true, false);
+      var o = createXMLHelper(doc, false, true);
+      var r = createXMLHelper(doc, true, true);
+      var pmtInf = doc.createElementNS(doc.documentElement.namespaceURI, 'PmtInf');
+
+      r(pmtInf, 'PmtInfId', this.id);
+      r(pmtInf, 'PmtMtd', this.method);
+      // XML v3 formats, add grouping + batch booking nodes
+
+      var painVersion = getPainXMLVersion(this._painFormat);
+      if (painVersion >= 3) {
         r(pmtInf, 'BtchBookg', this.batchBooking.toString());
         r(pmtInf, 'NbOfTxs', this.transactionCount);
-        r(pmtInf, 'CtrlSum', this.controlSum.toFixed(2));
+        r(pmtInf, 'CtrlSum', this.controlSum);
       }
 
-      var pmtTpInf = n(pmtInf, 'PmtTpInf');
-      r(pmtTpInf, 'SvcLvl', 'Cd', 'SEPA');
-      if (this.localInstrumentation) {
-        r(pmtTpInf, 'LclInstrm', 'Cd', this.localInstrumentation);
+      // Transfers outside of SEPA may come without any payment type info
+      if (this.serviceLevel || this.localInstrumentation || this.categoryPurpose ||
+          this.method === PaymentInfoTypes.DirectDebit) {
+        var pmtTpInf = n(pmtInf, 'PmtTpInf');
+        o(pmtTpInf, 'SvcLvl', 'Cd', this.serviceLevel);
+        o(pmtTpInf, 'LclInstrm', 'Cd', this.localInstrumentation);
+        if (this.method === PaymentInfoTypes.DirectDebit) {
+          r(pmtTpInf, 'SeqTp', this.sequenceType);
+        }
+        if (painVersion >= 3) {
+          o(pmtTpInf, 'CtgyPurp', 'Cd', this.categoryPurpose);
+        }
       }
 
       if (this.method === PaymentInfoTypes.DirectDebit) {
-        r(pmtTpInf, 'SeqTp', this.sequenceType);
         r(pmtInf, 'ReqdColltnDt', this.collectionDate.toISOString().substr(0, 10));
       }
+      else if (painVersion >= 9 && this.withExecutionTime) {
+        r(pmtInf, 'ReqdExctnDt', 'DtTm', this.requestedExecutionDate.toISOString());
+      }
+      else if (painVersion >= 9) {
+        r(pmtInf, 'ReqdExctnDt', 'Dt', this.requestedExecutionDate.toISOString().substr(0, 10));
+      }
       else {
         r(pmtInf, 'ReqdExctnDt', this.requestedExecutionDate.toISOString().substr(0, 10));
       }
@@ -362,38 +1383,63 @@
       var emitterNodeName = this.method === PaymentInfoTypes.DirectDebit ? 'Cdtr' : 'Dbtr';
       var emitter = n(pmtInf, emitterNodeName);
 
-      r(emitter, 'Nm', this[pullFrom + 'Name']);
-      if (this[pullFrom + 'Street'] && this[pullFrom + 'City'] && this[pullFrom + 'Country']) {
-        var pstl = n(emitter, 'PstlAdr');
-        r(pstl, 'Ctry', this[pullFrom + 'Country']);
-        r(pstl, 'AdrLine', this[pullFrom + 'Street']);
-        r(pstl, 'AdrLine', this[pullFrom + 'City']);
+      r(emitter, 'Nm', s(pullFrom + 'Name', this[pullFrom + 'Name'], 70));
+      var pstl = createAddressXML(doc, this, pullFrom, this._painFormat, s);
+      if (pstl) {
+        emitter.appendChild(pstl);
       }
 
-      var agentName = painVersion === 3 ? 'Agt' : 'Agnt';
+      var bicName = painVersion >= 9 ? 'BICFI' : 'BIC';
 
       r(pmtInf, emitterNodeName + 'Acct', 'Id', 'IBAN', this[pullFrom + 'IBAN']);
       if (this[pullFrom + 'BIC']) {
-        r(pmtInf, emitterNodeName + agentName, 'FinInstnId', 'BIC', this[pullFrom + 'BIC']);
+        r(pmtInf, emitterNodeName + 'Agt', 'FinInstnId', bicName, this[pullFrom + 'BIC']);
       } else {
-        r(pmtInf, emitterNodeName + agentName, 'FinInstnId', 'Othr', 'Id', 'NOTPROVIDED');
+        appendNotProvidedAgentToXML(doc, pmtInf, emitterNodeName + 'Agt', painVersion);
       }
 
-      r(pmtInf, 'ChrgBr', 'SLEV');
+      var ultimate = pullFrom === 'creditor' ? 'ultimateCreditor' : 'ultimateDebtor';
+      appendUltimatePartyToXML(doc, pmtInf, 'Ultmt' + emitterNodeName,
+        s(ultimate + 'Name', this[ultimate + 'Name'], 70),
+        this[ultimate + 'Id'], this[ultimate + 'IdType'], this._painFormat,
+        allowsStructuredAddress(this._painFormat) ? createAddressXML(doc, this, ultimate, this._painFormat, s) : null);
 
-      if (this.method === PaymentInfoTypes.DirectDebit) {
-        var creditorScheme = n(pmtInf, 'CdtrSchmeId', 'Id', 'PrvtId', 'Othr');
-        r(creditorScheme, 'Id', this.creditorId);
-        r(creditorScheme, 'SchmeNm', 'Prtry', 'SEPA');
+      o(pmtInf, 'ChrgBr', this.chargeBearer);
+
+      if (this.method === PaymentInfoTypes.DirectDebit && painVersion >= 3) {
+        appendCreditorSchemeIdToXML(doc, n(pmtInf, 'CdtrSchmeId'), this.creditorId, painVersion);
       }
 
-      for (var i = 0, l = this._payments.length; i < l; ++i) {
-        pmtInf.appendChild(this._payments[i].toXML(doc));
+      for (var i = 0, l = skipTransactions ? 0 : this._payments.length; i < l; ++i) {
+        pmtInf.appendChild(this._transactionToXML(doc, i, sanitizeReport, path));
       }
 
       return pmtInf;
     },
 
+    /*
+     * Serialize one of the transactions of this block to a DOM Element.
+     *
+     * @param doc           The DOM Document to create elements with.
+     * @param index         The index of the transaction.
+     * @param sanitizeReport  (optional) If set, text fields are sanitized and
+     *                          changes are added to this array.
+     * @param path          (optional) The path prefix of this block for the
+     *                        sanitize report.
+     * @return              The DOM <DrctDbtTxInf> or <CdtTrfTxInf> Element.
+     */
+    _transactionToXML: function(doc, index, sanitizeReport, path) {
+      var txInf = this._payments[index].toXML(doc, sanitizeReport, (path || '') + 'transactions[' + index + '].');
+
+      // XML v2 formats, the creditor id is part of each transaction
+      var painVersion = getPainXMLVersion(this._painFormat);
+      if (this.method === PaymentInfoTypes.DirectDebit && painVersion === 2) {
+        var n = createXMLHelper(doc, true, false);
+        appendCreditorSchemeIdToXML(doc, n(getXMLChildren(txInf, 'DrctDbtTx')[0], 'CdtrSchmeId'), this.creditorId, painVersion);
+      }
+      return txInf;
+    },
+
     /**
      * Serialize this element to an XML string.
      *
@@ -432,20 +1478,72 @@
     /** The currency to transfer */
     currency: 'EUR',
 
-    /** The amount to transfer */
+    /**
+     * The amount to transfer, either as a number or as a decimal string like
+     * '50.23'. At most as many decimals as the currency has are allowed, use
+     * strings or amountCents to avoid floating point issues.
+     */
     amount: 0,
 
+    /**
+     * The amount to transfer in integer minor units of the currency, i.e.
+     * cents for EUR. NaN if the amount is invalid.
+     */
+    get amountCents() {
+      return parseAmount(this.amount, false, currencyDecimals(this.currency));
+    },
+    set amountCents(cents) {
+      if (typeof cents !== 'number' || cents % 1 !== 0 || cents < 0) {
+        throw new Error('Amount in cents must be a non-negative integer: ' + cents);
+      }
+      this.amount = formatAmount(cents, currencyDecimals(this.currency));
+    },
+
     /** (optional) The purpose code to use */
     purposeCode: null,
 
+    /**
+     * Status and reasons from a pain.002 status report, set by
+     * SepaDocument.applyStatusReport.
+     */
+    status: null,
+    statusReasons: null,
+
     /** The mandate id of the debtor */
     mandateId: '',
 
     /** The signature date of the mandate */
     mandateSignatureDate: null,
 
-    /** Name, Address, IBAN and BIC of the debtor */
+    /**
+     * (optional) Mandate amendment details. If any of these are set, the
+     * mandate is marked as amended.
+     *
+     * originalMandateId        - The mandate id before it was changed
+     * originalCreditorSchemeId - The creditor id before it was changed
+     * originalCreditorName     - The creditor name before it was changed
+     * originalDebtorIBAN       - The debtor IBAN, if the account changed within the same bank
+     * originalDebtorAgent      - 'SMNDA' if the debtor changed to a different bank
+     */
+    originalMandateId: null,
+    originalCreditorSchemeId: null,
+    originalCreditorName: null,
+    originalDebtorIBAN: null,
+    originalDebtorAgent: null,
+
+    /** True, if any of the mandate amendment details are set */
+    get amended() {
+      return !!(this.originalMandateId || this.originalCreditorSchemeId || this.originalCreditorName ||
+                this.originalDebtorIBAN || this.originalDebtorAgent);
+    },
+
+    /**
+     * Name, Address, IBAN and BIC of the debtor. The address is a
+     * SEPA.Address or a plain object with its fields, street, city and
+     * country are only used if there is no address.
+     */
     debtorName: '',
+    debtorAddress: null,
     debtorStreet: null,
     debtorCity: null,
     debtorCountry: null,
@@ -455,15 +1553,212 @@
     /** Unstructured Remittance Info */
     remittanceInfo: '',
 
-    /** Name, Address, IBAN and BIC of the creditor */
+    /**
+     * Structured Remittance Info, a creditor reference like an ISO 11649 RF
+     * reference. If set, it is used instead of the unstructured remittance
+     * info.
+     */
+    creditorReference: null,
+
+    /** Name, Address, IBAN and BIC of the creditor, like for the debtor */
     creditorName: '',
+    creditorAddress: null,
     creditorStreet: null,
     creditorCity: null,
     creditorCountry: null,
     creditorIBAN: '',
     creditorBIC: '',
 
-    toXML: function(doc) {
+    /**
+     * (optional) Details for credit transfers outside of SEPA, which are only
+     * used if the service level of the payment info block is not SEPA:
+     *
+     * creditorAccountId           - Account number of the creditor, if it has no IBAN
+     * creditorAgentClearingSystem - Clearing system of the member id, e.g. USABA
+     * creditorAgentMemberId       - Id of the creditor agent in the clearing system
+     * creditorAgentName           - Name of the creditor agent, if there is no BIC
+     * creditorAgentCountry        - Country of the creditor agent
+     * intermediaryAgentBIC        - BIC of an intermediary bank, e.g. a correspondent bank
+     */
+    creditorAccountId: null,
+    creditorAgentClearingSystem: null,
+    creditorAgentMemberId: null,
+    creditorAgentName: null,
+    creditorAgentCountry: null,
+    intermediaryAgentBIC: null,
+
+    /**
+     * (optional) Name, identifier and address of the ultimate creditor and
+     * debtor, if different from the creditor and debtor. The id type is OrgId
+     * or PrvtId.
+     */
+    ultimateCreditorName: null,
+    ultimateCreditorId: null,
+    ultimateCreditorIdType: 'OrgId',
+    ultimateCreditorAddress: null,
+    ultimateDebtorName: null,
+    ultimateDebtorId: null,
+    ultimateDebtorIdType: 'OrgId',
+    ultimateDebtorAddress: null,
+
+    /**
+     * Checks this transaction for missing or malformed fields.
+     *
+     * @throws ValidationError      If at least one field is invalid.
+     */
+    validate: function() {
+      var errors = [];
+      this._validate(errors, '');
+      throwValidationErrors(errors);
+    },
+
+    /**
+     * Collects validation errors for this transaction.
+     *
+     * @param errors      The array to push { path, message } objects to.
+     * @param path        The path prefix for field names.
+     * @param paymentInfo (optional) The SEPA.PaymentInfo of the transaction,
+     *                      for the checks depending on its service level.
+     *                      Without it, the default SEPA service level is
+     *                      assumed.
+     * @param sanitize    (optional) If true, texts that are truncated when
+     *                      sanitizing may be too long.
+     */
+    _validate: function(errors, path, paymentInfo, sanitize) {
+      var c = createValidationHelper(errors, path);
+      var pullFrom = this._type === TransactionTypes.Transfer ? 'creditor' : 'debtor';
+      var serviceLevel = paymentInfo ? paymentInfo.serviceLevel : SepaPaymentInfo.prototype.serviceLevel;
+      var instant = !!(paymentInfo && paymentInfo.instant);
+      var crossBorder = this._type === TransactionTypes.Transfer && serviceLevel !== 'SEPA';
+      var domestic = paymentInfo && typeof this.creditorIBAN === 'string' && typeof paymentInfo.debtorIBAN === 'string' &&
+                     this.creditorIBAN.substr(0, 2) === paymentInfo.debtorIBAN.substr(0, 2);
+      var decimals = currencyDecimals(this.currency);
+      var ibanResult = {};
+
+      c('id', isText(this.id, 0, 35), 'must be at most 35 characters long');
+      c('end2endId', isText(this.end2endId, 1, 35), 'must be 1 to 35 characters long');
+      c('currency', Object.prototype.hasOwnProperty.call(CurrencyDecimals, this.currency), 'must be an ISO 4217 currency code');
+      c('currency', (serviceLevel !== 'SEPA' && !instant) || this.currency === 'EUR', 'must be EUR for ' + (instant ? 'instant' : 'SEPA') + ' payments');
+      c('amount', this.amountCents > 0, 'must be a positive amount ' +
+                                        (decimals ? 'with at most ' + decimals + ' decimals' : 'without decimals') + ' up to ' +
+                                        formatAmount((MAX_AMOUNT_INTEGER + 1) * Math.pow(10, decimals) - 1, decimals));
+      if (instant && InstantLimits.maxAmount) {
+        c('amount', !(this.amountCents > parseAmount(InstantLimits.maxAmount, false, decimals)),
+          'must not exceed ' + InstantLimits.maxAmount + ' for instant transfers');
+      }
+      c(pullFrom + 'Name', isSanitizedText(this[pullFrom + 'Name'], 1, 70, sanitize), 'must be 1 to 70 characters long');
+      if (crossBorder && this.creditorAccountId && !this.creditorIBAN) {
+        c('creditorAccountId', isText(this.creditorAccountId, 1, 34), 'must be 1 to 34 characters long');
+      } else {
+        c(pullFrom + 'IBAN', validateIBAN(this[pullFrom + 'IBAN'], ibanResult), 'must be a valid IBAN (' + ibanResult.reason + ')');
+      }
+      c(pullFrom + 'BIC', !this[pullFrom + 'BIC'] || validateBIC(this[pullFrom + 'BIC']), 'must be a valid BIC');
+      c('remittanceInfo', isSanitizedText(this.remittanceInfo, 0, 140, sanitize), 'must be at most 140 characters long');
+      if (this.creditorReference) {
+        c('creditorReference', isText(this.creditorReference, 1, 35), 'must be 1 to 35 characters long');
+        c('creditorReference', String(this.creditorReference).substr(0, 2) !== 'RF' || validateCreditorReference(this.creditorReference), 'must be a valid RF creditor reference');
+        c('remittanceInfo', !this.remittanceInfo, 'can not be used together with a creditor reference');
+      }
+      if (this._type === TransactionTypes.Transfer && isQRIBAN(this.creditorIBAN)) {
+        c('creditorReference', validateQRReference(this.creditorReference), 'must be a valid QR reference for a QR-IBAN');
+        c('currency', this.currency === 'CHF' || this.currency === 'EUR', 'must be CHF or EUR for a QR-IBAN');
+      }
+
+      validateAddress(c, this, pullFrom, this._painFormat, sanitize);
+      validateUltimateParty(c, this, 'ultimateCreditor', this._painFormat, sanitize);
+      validateUltimateParty(c, this, 'ultimateDebtor', this._painFormat, sanitize);
+
+      if (this._type === TransactionTypes.DirectDebit) {
+        c('mandateId', isText(this.mandateId, 1, 35), 'must be 1 to 35 characters long');
+        c('mandateSignatureDate', isDate(this.mandateSignatureDate), 'must be a valid date');
+
+        c('originalMandateId', !this.originalMandateId || isText(this.originalMandateId, 1, 35), 'must be 1 to 35 characters long');
+        c('originalCreditorSchemeId', !this.originalCreditorSchemeId || (isText(this.originalCreditorSchemeId, 8, 35) && validateCreditorID(this.originalCreditorSchemeId)), 'must be a valid creditor id');
+        c('originalCreditorName', !this.originalCreditorName || isSanitizedText(this.originalCreditorName, 1, 70, sanitize), 'must be 1 to 70 characters long');
+        c('originalDebtorIBAN', !this.originalDebtorIBAN || validateIBAN(this.originalDebtorIBAN, ibanResult), 'must be a valid IBAN (' + ibanResult.reason + ')');
+        c('originalDebtorAgent', !this.originalDebtorAgent || this.originalDebtorAgent === 'SMNDA', 'must be SMNDA');
+      }
+
+      if (crossBorder) {
+        c('creditorBIC', domestic || this.creditorBIC || this.creditorAgentMemberId || this.creditorAgentName,
+          'must be set for payments abroad outside of SEPA, unless the creditor agent is given by member id or name');
+        c('creditorAgentClearingSystem', !this.creditorAgentMemberId || isText(this.creditorAgentClearingSystem, 1, 5), 'must be a clearing system code like USABA');
+        c('creditorAgentMemberId', !this.creditorAgentMemberId || isText(this.creditorAgentMemberId, 1, 35), 'must be 1 to 35 characters long');
+        c('creditorAgentName', !this.creditorAgentName || isSanitizedText(this.creditorAgentName, 1, 140, sanitize), 'must be 1 to 140 characters long');
+        c('creditorAgentCountry', !this.creditorAgentCountry || /^[A-Z]{2}$/.test(this.creditorAgentCountry), 'must be a two letter country code');
+        c('intermediaryAgentBIC', !this.intermediaryAgentBIC || validateBIC(this.intermediaryAgentBIC), 'must be a valid BIC');
+      }
+    },
+
+    /**
+     * Reads the properties of this transaction from a DOM Element.
+     *
+     * @param txInf       The DOM <DrctDbtTxInf> or <CdtTrfTxInf> Element.
+     */
+    _fromXML: function(txInf) {
+      var g = getXMLValue;
+      var pullFrom = this._type === TransactionTypes.Transfer ? 'creditor' : 'debtor';
+      var receiverNodeName = this._type === TransactionTypes.Transfer ? 'Cdtr' : 'Dbtr';
+
+      this.id = g(txInf, 'PmtId', 'InstrId') || '';
+      this.end2endId = g(txInf, 'PmtId', 'EndToEndId');
+
+      var amount;
+      if (this._type === TransactionTypes.DirectDebit) {
+        amount = getXMLChildren(txInf, 'InstdAmt')[0];
+
+        var mandate = getXMLChildren(getXMLChildren(txInf, 'DrctDbtTx')[0], 'MndtRltdInf')[0];
+        this.mandateId = g(mandate, 'MndtId');
+        this.mandateSignatureDate = new Date(g(mandate, 'DtOfSgntr'));
+
+        var amendment = getXMLChildren(mandate, 'AmdmntInfDtls')[0];
+        if (amendment) {
+          this.originalMandateId = g(amendment, 'OrgnlMndtId');
+          this.originalCreditorName = g(amendment, 'OrgnlCdtrSchmeId', 'Nm');
+          this.originalCreditorSchemeId = readCreditorSchemeIdFromXML(getXMLChildren(amendment, 'OrgnlCdtrSchmeId')[0]);
+          this.originalDebtorIBAN = g(amendment, 'OrgnlDbtrAcct', 'Id', 'IBAN');
+          this.originalDebtorAgent = g(amendment, 'OrgnlDbtrAgt', 'FinInstnId', 'Othr', 'Id') ||
+                                     g(amendment, 'OrgnlDbtrAgt', 'FinInstnId', 'PrtryId', 'Id');
+        }
+      } else {
+        amount = getXMLChildren(getXMLChildren(txInf, 'Amt')[0], 'InstdAmt')[0];
+
+        this.creditorAccountId = g(txInf, 'CdtrAcct', 'Id', 'Othr', 'Id');
+        this.creditorAgentClearingSystem = g(txInf, 'CdtrAgt', 'FinInstnId', 'ClrSysMmbId', 'ClrSysId', 'Cd');
+        this.creditorAgentMemberId = g(txInf, 'CdtrAgt', 'FinInstnId', 'ClrSysMmbId', 'MmbId');
+        this.creditorAgentName = g(txInf, 'CdtrAgt', 'FinInstnId', 'Nm');
+        this.creditorAgentCountry = g(txInf, 'CdtrAgt', 'FinInstnId', 'PstlAdr', 'Ctry');
+        this.intermediaryAgentBIC = g(txInf, 'IntrmyAgt1', 'FinInstnId', 'BIC') ||
+                                    g(txInf, 'IntrmyAgt1', 'FinInstnId', 'BICFI');
+      }
+      this.amount = amount.textContent;
+      this.currency = amount.getAttribute('Ccy') || this.currency;
+
+      readPartyFromXML(this, pullFrom, txInf, receiverNodeName);
+      var ultimateCreditor = getXMLChildren(txInf, 'UltmtCdtr')[0];
+      var ultimateDebtor = getXMLChildren(txInf, 'UltmtDbtr')[0];
+      readPartyIdFromXML(this, 'ultimateCreditor', ultimateCreditor);
+      readPartyIdFromXML(this, 'ultimateDebtor', ultimateDebtor);
+      this.ultimateCreditorAddress = readAddressFromXML(getXMLChildren(ultimateCreditor, 'PstlAdr')[0]);
+      this.ultimateDebtorAddress = readAddressFromXML(getXMLChildren(ultimateDebtor, 'PstlAdr')[0]);
+
+      this.remittanceInfo = g(txInf, 'RmtInf', 'Ustrd') || '';
+      this.creditorReference = g(txInf, 'RmtInf', 'Strd', 'CdtrRefInf', 'Ref') ||
+                               g(txInf, 'RmtInf', 'Strd', 'CdtrRefInf', 'CdtrRef');
+      this.purposeCode = g(txInf, 'Purp', 'Cd');
+    },
+
+    /*
+     * Serialize this transaction to a DOM Element.
+     *
+     * @param doc           The DOM Document to create elements with.
+     * @param sanitizeReport  (optional) If set, text fields are sanitized and
+     *                          changes are added to this array.
+     * @param path          (optional) The path prefix for the sanitize report.
+     * @return              The DOM <DrctDbtTxInf> or <CdtTrfTxInf> Element.
+     */
+    toXML: function(doc, sanitizeReport, path) {
+      var s = createSanitizeHelper(this._painFormat, sanitizeReport, path);
       var pullFrom = this._type === TransactionTypes.Transfer ? 'creditor' : 'debtor';
       var receiverNodeName = this._type === TransactionTypes.Transfer ? 'Cdtr' : 'Dbtr';
 
@@ -480,45 +1775,100 @@
       r(paymentId, 'EndToEndId', this.end2endId);
 
       if (this._type === TransactionTypes.DirectDebit) {
-        r(txInf, 'InstdAmt', this.amount.toFixed(2)).setAttribute('Ccy', this.currency);
+        r(txInf, 'InstdAmt', formatTransactionAmount(this)).setAttribute('Ccy', this.currency);
 
         var mandate = n(txInf, 'DrctDbtTx', 'MndtRltdInf');
         r(mandate, 'MndtId', this.mandateId);
         r(mandate, 'DtOfSgntr', this.mandateSignatureDate.toISOString().substr(0, 10));
 
-        if (this.ammendment) {
-          r(mandate, 'AmdmntInd', 'true');
-          r(mandate, 'AmdmnInfDtls', this.ammendment);
-        } else {
-          r(mandate, 'AmdmntInd', 'false');
+        r(mandate, 'AmdmntInd', this.amended.toString());
+        if (this.amended) {
+          var amendment = n(mandate, 'AmdmntInfDtls');
+          o(amendment, 'OrgnlMndtId', this.originalMandateId);
+
+          if (this.originalCreditorSchemeId || this.originalCreditorName) {
+            var originalCreditor = n(amendment, 'OrgnlCdtrSchmeId');
+            o(originalCreditor, 'Nm', s('originalCreditorName', this.originalCreditorName, 70));
+            if (this.originalCreditorSchemeId) {
+              appendCreditorSchemeIdToXML(doc, originalCreditor, this.originalCreditorSchemeId, painVersion);
+            }
+          }
+
+          o(amendment, 'OrgnlDbtrAcct', 'Id', 'IBAN', this.originalDebtorIBAN);
+          o(amendment, 'OrgnlDbtrAgt', 'FinInstnId', painVersion === 2 ? 'PrtryId' : 'Othr', 'Id', this.originalDebtorAgent);
         }
       }
       else {
-        r(txInf, 'Amt', 'InstdAmt', this.amount.toFixed(2)).setAttribute('Ccy', this.currency);
+        r(txInf, 'Amt', 'InstdAmt', formatTransactionAmount(this)).setAttribute('Ccy', this.currency);
       }
 
-      if (this[pullFrom + 'BIC']) {
-        r(txInf, receiverNodeName + 'Agt', 'FinInstnId', 'BIC', this[pullFrom + 'BIC']);
-      } else {
-        r(txInf, receiverNodeName + 'Agt', 'FinInstnId', 'Othr', 'Id', 'NOTPROVIDED');
+      // The ultimate party of the payment info side comes before the agent,
+      // the one of the receiving side after the receiver account.
+      var emitterUltimate = pullFrom === 'creditor' ? 'ultimateDebtor' : 'ultimateCreditor';
+      var receiverUltimate = pullFrom === 'creditor' ? 'ultimateCreditor' : 'ultimateDebtor';
+      var structured = allowsStructuredAddress(this._painFormat);
+      appendUltimatePartyToXML(doc, txInf, receiverNodeName === 'Cdtr' ? 'UltmtDbtr' : 'UltmtCdtr',
+        s(emitterUltimate + 'Name', this[emitterUltimate + 'Name'], 70),
+        this[emitterUltimate + 'Id'], this[emitterUltimate + 'IdType'], this._painFormat,
+        structured ? createAddressXML(doc, this, emitterUltimate, this._painFormat, s) : null);
+
+      var bicName = painVersion >= 9 ? 'BICFI' : 'BIC';
+      var agentDetails = null;
+      if (this._type === TransactionTypes.Transfer) {
+        o(txInf, 'IntrmyAgt1', 'FinInstnId', bicName, this.intermediaryAgentBIC);
+        agentDetails = {
+          clearingSystem: this.creditorAgentClearingSystem,
+          memberId: this.creditorAgentMemberId,
+          name: s('creditorAgentName', this.creditorAgentName, 140),
+          country: this.creditorAgentCountry
+        };
+      }
+      // The Swiss, DK and version 2 transfer formats leave out the creditor
+      // agent instead of NOTPROVIDED
+      if (this[pullFrom + 'BIC'] || (agentDetails && (agentDetails.memberId || agentDetails.name))) {
+        appendAgentToXML(doc, txInf, receiverNodeName + 'Agt', bicName, this[pullFrom + 'BIC'], agentDetails);
+      } else if (this._type === TransactionTypes.DirectDebit) {
+        appendNotProvidedAgentToXML(doc, txInf, 'DbtrAgt', painVersion);
+      } else if (painVersion >= 3 && !/\.ch\.|^pain\.001\.00[23]\./.test(this._painFormat)) {
+        appendNotProvidedAgentToXML(doc, txInf, 'CdtrAgt', painVersion);
       }
 
       var receiver = n(txInf, receiverNodeName);
-      r(receiver, 'Nm', this[pullFrom + 'Name']);
+      r(receiver, 'Nm', s(pullFrom + 'Name', this[pullFrom + 'Name'], 70));
+      var pstl = createAddressXML(doc, this, pullFrom, this._painFormat, s);
+      if (pstl) {
+        receiver.appendChild(pstl);
+      }
 
-      if (this[pullFrom + 'Street'] && this[pullFrom + 'City'] && this[pullFrom + 'Country']) {
-        var pstl = n(receiver, 'PstlAdr');
-        r(pstl, 'Ctry', this.debtorCountry);
-        r(pstl, 'AdrLine', this.debtorStreet);
-        r(pstl, 'AdrLine', this.debtorCity);
+      if (this._type === TransactionTypes.Transfer && this.creditorAccountId && !this.creditorIBAN) {
+        r(txInf, 'CdtrAcct', 'Id', 'Othr', 'Id', this.creditorAccountId);
+      } else {
+        r(txInf, receiverNodeName + 'Acct', 'Id', 'IBAN', this[pullFrom + 'IBAN']);
       }
 
-      r(txInf, receiverNodeName + 'Acct', 'Id', 'IBAN', this[pullFrom + 'IBAN']);
+      appendUltimatePartyToXML(doc, txInf, 'Ultmt' + receiverNodeName,
+        s(receiverUltimate + 'Name', this[receiverUltimate + 'Name'], 70),
+        this[receiverUltimate + 'Id'], this[receiverUltimate + 'IdType'], this._painFormat,
+        structured ? createAddressXML(doc, this, receiverUltimate, this._painFormat, s) : null);
 
-      r(txInf, 'RmtInf', 'Ustrd', this.remittanceInfo);
+      o(txInf, 'Purp', 'Cd', this.purposeCode);
 
-      if (painVersion !== 3) {
-        o(txInf, 'Purp', 'Cd', this.purposeCode);
+      if (this.creditorReference) {
+        var creditorRef = n(txInf, 'RmtInf', 'Strd', 'CdtrRefInf');
+        // The version 2 formats have their own element names, payments to
+        // QR-IBANs carry a Swiss QR reference instead of an ISO one
+        if (painVersion === 2) {
+          r(creditorRef, 'CdtrRefTp', 'Cd', 'SCOR');
+          r(creditorRef, 'CdtrRef', this.creditorReference);
+        } else if (this._type === TransactionTypes.Transfer && isQRIBAN(this.creditorIBAN)) {
+          r(creditorRef, 'Tp', 'CdOrPrtry', 'Prtry', 'QRR');
+          r(creditorRef, 'Ref', this.creditorReference);
+        } else {
+          r(creditorRef, 'Tp', 'CdOrPrtry', 'Cd', 'SCOR');
+          r(creditorRef, 'Ref', this.creditorReference);
+        }
+      } else {
+        r(txInf, 'RmtInf', 'Ustrd', s('remittanceInfo', this.remittanceInfo, 140));
       }
 
       return txInf;
@@ -526,117 +1876,1872 @@
   };
 
   /**
-   * Replace letters with numbers using the SEPA scheme A=10, B=11, ...
-   * Non-alphanumerical characters are dropped.
+   * Postal address of a party. The mode depends on the fields that are set:
    *
-   * @param str     The alphanumerical input string
-   * @return        The input string with letters replaced
+   * 'structured'   - Town name and country, with the other separate fields
+   * 'hybrid'       - Town name and country, plus up to two address lines
+   * 'unstructured' - Country and up to two address lines, which the EPC no
+   *                  longer accepts from November 2025
+   *
+   * Formats that only know unstructured addresses, i.e. the EPC and DK
+   * variants before 2019, get the structured fields as address lines.
+   *
+   * @param values      (optional) Object with the initial field values.
    */
-  function _replaceChars(str) {
-    var res = '';
-    for (var i = 0, l = str.length; i < l; ++i) {
-      var cc = str.charCodeAt(i);
-      if (cc >= 65 && cc <= 90) {
-        res += (cc - 55).toString();
-      } else if (cc >= 97 && cc <= 122) {
-        res += (cc - 87).toString();
-      } else if (cc >= 48 && cc <= 57) {
-        res += str[i];
-      }
+  function SepaAddress(values) {
+    _propertiesFromJSON(this, values);
+    if (this.addressLines) {
+      this.addressLines = this.addressLines.slice();
     }
-    return res;
   }
 
-  /**
-   * mod97 function for large numbers
-   *
-   * @param str     The number as a string.
-   * @return        The number mod 97.
-   */
-  function _txtMod97(str) {
-    var res = 0;
-    for (var i = 0, l = str.length; i < l; ++i) {
-      res = (res * 10 + parseInt(str[i], 10)) % 97;
+  SepaAddress.prototype = {
+    /** Street name and building number */
+    streetName: null,
+    buildingNumber: null,
+
+    /** Post code and name of the town */
+    postCode: null,
+    townName: null,
+
+    /** ISO 3166 two letter country code */
+    country: null,
+
+    /** Array of up to two address lines, for hybrid and unstructured addresses */
+    addressLines: null,
+
+    /** The address mode described above, or null if the town and lines are missing */
+    get mode() {
+      var hasLines = !!(this.addressLines && this.addressLines.length);
+      if (this.townName) {
+        return hasLines ? 'hybrid' : 'structured';
+      }
+      return hasLines ? 'unstructured' : null;
+    },
+
+    /**
+     * Returns the address as lines for the formats without structured
+     * addresses. The street and building number, and the post code and town
+     * name are joined to one line each.
+     *
+     * @return            Array of address lines.
+     */
+    _toAddressLines: function() {
+      var lines = (this.addressLines || []).concat([
+        [this.streetName, this.buildingNumber],
+        [this.postCode, this.townName]
+      ].map(function(parts) {
+        return parts.filter(Boolean).join(' ');
+      }));
+      return lines.filter(Boolean);
     }
-    return res;
-  }
+  };
 
   /**
-   * Checks if an IBAN is valid (no country specific checks are done).
-   *
-   * @param iban        The IBAN to check.
-   * @return            True, if the IBAN is valid.
+   * In-memory store for the SEPA.MandateRegistry. Other stores, e.g. backed by
+   * a database, need the same synchronous get and set methods.
    */
-  function validateIBAN(iban) {
-    var ibrev = iban.substr(4) + iban.substr(0, 4);
-    return _txtMod97(_replaceChars(ibrev)) === 1;
+  function SepaMemoryMandateStore() {
+    this._records = {};
   }
 
-  /**
-   * Calculates the checksum for the given IBAN. The input IBAN should pass 00
-   * as the checksum digits, a full iban with the corrected checksum will be
-   * returned.
-   *
-   * Example: DE00123456781234567890 -> DE87123456781234567890
-   *
-   * @param iban        The IBAN to calculate the checksum for.
-   * @return            The corrected IBAN.
-   */
-  function checksumIBAN(iban) {
-    var ibrev = iban.substr(4) + iban.substr(0, 2) + '00';
-    var mod = _txtMod97(_replaceChars(ibrev));
-    return iban.substr(0, 2) + ('0' + (98 - mod)).substr(-2,2) + iban.substr(4);
-  }
+  SepaMemoryMandateStore.prototype = {
+    /**
+     * @param mandateId   The mandate id.
+     * @return            The stored record, or null if there is none.
+     */
+    get: function(mandateId) {
+      return Object.prototype.hasOwnProperty.call(this._records, mandateId) ? this._records[mandateId] : null;
+    },
 
-  /**
-   * Checks if a Creditor ID is valid (no country specific checks are done).
-   *
-   * @param iban        The Creditor ID to check.
-   * @return            True, if the Creditor IDis valid.
-   */
-  function validateCreditorID(cid) {
-    var cidrev = cid.substr(7) + cid.substr(0, 4);
-    return _txtMod97(_replaceChars(cidrev)) === 1;
-  }
+    /**
+     * @param mandateId   The mandate id.
+     * @param record      The record to store.
+     */
+    set: function(mandateId, record) {
+      this._records[mandateId] = record;
+    }
+  };
 
   /**
-   * Calculates the checksum for the given Creditor ID . The input Creditor ID
-   * should pass 00 as the checksum digits, a full Creditor ID with the
-   * corrected checksum will be returned.
+   * Tracks the collections of direct debit mandates to determine their
+   * sequence type. A mandate is collected with FRST the first time and RCUR
+   * afterwards. A mandate marked as final is collected a last time with FNAL,
+   * a one-off mandate once with OOFF. After that it can no longer be used.
    *
-   * Example: DE00ZZZ09999999999 -> DE98ZZZ09999999999
+   * The records { mandateId, oneOff, final, history } are kept in a store
+   * with get(mandateId) and set(mandateId, record) methods. The history is an
+   * array of { sequenceType, collectionDate, end2endId }.
    *
-   * @param iban        The IBAN to calculate the checksum for.
-   * @return            The corrected IBAN.
+   * @param store       (optional) The store, defaults to an in-memory store.
    */
-  function checksumCreditorID(cid) {
-    var cidrev = cid.substr(7) + cid.substr(0, 2) + '00';
-    var mod = _txtMod97(_replaceChars(cidrev));
-    return cid.substr(0, 2) + ('0' + (98 - mod)).substr(-2,2) + cid.substr(4);
+  function SepaMandateRegistry(store) {
+    this.store = store || new SepaMemoryMandateStore();
   }
 
-  /**
-   * Creates a DOM Document, either using the browser document, or node.js xmldom.
-   *
-   * @param nsURI       The namespace URI.
-   * @param qname       Qualified name for the root tag.
-   * @return            The created DOM document.
-   */
-  function createDocument(nsURI, qname) {
-    if (typeof document !== 'undefined' && typeof document.implementation !== 'undefined') {
-      return document.implementation.createDocument(nsURI, qname);
-    } else {
-      var DOMImplementation = require('xmldom').DOMImplementation;
-      return new DOMImplementation().createDocument(nsURI, qname);
-    }
-  }
+  SepaMandateRegistry.MemoryStore = SepaMemoryMandateStore;
 
-  /**
-   * Serializes a dom element or document to string, using either the builtin
-   * XMLSerializer or the one from node.js xmldom.
-   *
-   * @param doc         The document or element to serialize
-   * @return            The serialized XML document.
+  SepaMandateRegistry.prototype = {
+    /** The record store */
+    store: null,
+
+    /**
+     * @param mandateId   The mandate id.
+     * @return            The stored or a new, empty record.
+     */
+    _getRecord: function(mandateId) {
+      return this.store.get(mandateId) ||
+             { mandateId: mandateId, oneOff: false, final: false, history: [] };
+    },
+
+    /**
+     * @param mandateId   The mandate id.
+     * @return            The array of previous collections.
+     */
+    getHistory: function(mandateId) {
+      return this._getRecord(mandateId).history;
+    },
+
+    /**
+     * Determines the sequence type of the next collection for a mandate.
+     *
+     * @param mandateId   The mandate id.
+     * @return            The sequence type FRST, RCUR, FNAL or OOFF.
+     * @throws Error      If the mandate was already collected with FNAL or OOFF.
+     */
+    getSequenceType: function(mandateId) {
+      var record = this._getRecord(mandateId);
+      var last = record.history[record.history.length - 1];
+      if (!last) {
+        return record.oneOff ? 'OOFF' : 'FRST';
+      } else if (last.sequenceType === 'FNAL' || last.sequenceType === 'OOFF') {
+        throw new Error('Mandate ' + mandateId + ' was already collected with ' + last.sequenceType);
+      }
+      return record.final ? 'FNAL' : 'RCUR';
+    },
+
+    /**
+     * Marks the next collection of a mandate as its final one.
+     *
+     * @param mandateId   The mandate id.
+     */
+    markFinal: function(mandateId) {
+      var record = this._getRecord(mandateId);
+      record.final = true;
+      this.store.set(mandateId, record);
+    },
+
+    /**
+     * Marks a mandate as one-off mandate that is collected only once.
+     *
+     * @param mandateId   The mandate id.
+     */
+    markOneOff: function(mandateId) {
+      var record = this._getRecord(mandateId);
+      record.oneOff = true;
+      this.store.set(mandateId, record);
+    },
+
+    /**
+     * Records a collection of a mandate.
+     *
+     * @param mandateId       The mandate id.
+     * @param sequenceType    The sequence type that was used.
+     * @param collectionDate  The requested collection date.
+     * @param end2endId       (optional) The end-to-end id of the transaction.
+     */
+    recordCollection: function(mandateId, sequenceType, collectionDate, end2endId) {
+      var record = this._getRecord(mandateId);
+      record.history.push({
+        sequenceType: sequenceType,
+        collectionDate: collectionDate,
+        end2endId: end2endId || null
+      });
+      this.store.set(mandateId, record);
+    },
+
+    /**
+     * Records the collections of all direct debits of a submitted document.
+     *
+     * @param doc         The SEPA.Document.
+     */
+    recordDocument: function(doc) {
+      doc._paymentInfo.forEach(function(pi) {
+        if (pi.method !== PaymentInfoTypes.DirectDebit) {
+          return;
+        }
+        pi._payments.forEach(function(tx) {
+          this.recordCollection(tx.mandateId, pi.sequenceType, pi.collectionDate, tx.end2endId);
+        }, this);
+      }, this);
+    }
+  };
+
+  /**
+   * In-memory store for SEPA.SubmittedIds. Other stores, e.g. backed by a
+   * database, need the same synchronous has and add methods.
+   */
+  function SepaMemoryIdStore() {
+    this._ids = {};
+  }
+
+  SepaMemoryIdStore.prototype = {
+    /**
+     * @param type        The type of the id: message, paymentInfo or end2end.
+     * @param id          The id.
+     * @return            True, if the id was added before.
+     */
+    has: function(type, id) {
+      return Object.prototype.hasOwnProperty.call(this._ids, type + ' ' + id);
+    },
+
+    /**
+     * @param type        The type of the id: message, paymentInfo or end2end.
+     * @param id          The id.
+     */
+    add: function(type, id) {
+      this._ids[type + ' ' + id] = true;
+    }
+  };
+
+  /**
+   * Tracks the message, payment info and end-to-end ids of submitted
+   * documents, so that SepaDocument.validate can detect a resubmission.
+   *
+   * @param store       (optional) The store with has(type, id) and
+   *                      add(type, id) methods, defaults to an in-memory
+   *                      store.
+   */
+  function SepaSubmittedIds(store) {
+    this.store = store || new SepaMemoryIdStore();
+  }
+
+  SepaSubmittedIds.MemoryStore = SepaMemoryIdStore;
+
+  SepaSubmittedIds.prototype = {
+    /** The id store */
+    store: null,
+
+    /**
+     * Calls a function for each tracked id of a document.
+     *
+     * @param doc         The SEPA.Document.
+     * @param callback    Called with the type, the id and the path of each id.
+     */
+    _forEachId: function(doc, callback) {
+      callback('message', doc.grpHdr.id, 'grpHdr.id');
+      doc._paymentInfo.forEach(function(pi, i) {
+        var path = 'paymentInfo[' + i + '].';
+        callback('paymentInfo', pi.id, path + 'id');
+        pi._payments.forEach(function(tx, j) {
+          if (tx.end2endId !== 'NOTPROVIDED') {
+            callback('end2end', tx.end2endId, path + 'transactions[' + j + '].end2endId');
+          }
+        });
+      });
+    },
+
+    /**
+     * Collects validation errors for ids of a document that were already
+     * submitted.
+     *
+     * @param doc         The SEPA.Document.
+     * @param errors      The array to push { path, message } objects to.
+     */
+    _validate: function(doc, errors) {
+      this._forEachId(doc, function(type, id, path) {
+        if (id && this.store.has(type, id)) {
+          errors.push({ path: path, message: 'was already submitted' });
+        }
+      }.bind(this));
+    },
+
+    /**
+     * Records the ids of a submitted document.
+     *
+     * @param doc         The SEPA.Document.
+     */
+    recordDocument: function(doc) {
+      this._forEachId(doc, function(type, id) {
+        if (id) {
+          this.store.add(type, id);
+        }
+      }.bind(this));
+    }
+  };
+
+  /**
+   * Root elements of the R-transaction formats.
+   */
+  var RTransactionTypes = {
+    'pain.007.001.02': 'CstmrPmtRvsl',
+    'camt.055.001.01': 'CstmrPmtCxlReq'
+  };
+
+  /**
+   * Document for R-transactions on payments of previously submitted SEPA
+   * documents: reversals of collected direct debits (pain.007) and
+   * cancellation requests for transfers and direct debits (camt.055).
+   */
+  function SepaRTransactionDocument(options) {
+    options = options || {};
+    this._format = options.format || 'pain.007.001.02';
+    if (!RTransactionTypes[this._format]) {
+      throw new Error('Unsupported R-transaction format: ' + this._format);
+    }
+    this._type = RTransactionTypes[this._format];
+    this._originals = [];
+    this.id = options.id || '';
+    this.created = options.created || '';
+    this.initiatorName = options.initiatorName || '';
+  }
+
+  SepaRTransactionDocument.Types = RTransactionTypes;
+
+  SepaRTransactionDocument.prototype = {
+    /** Format used, pain.007.001.02 or camt.055.001.01 */
+    _format: null,
+
+    /** Root element of the format */
+    _type: null,
+
+    /**
+     * Array of { document, paymentInfo, whole, transactions }, transactions
+     * being an array of { transaction, reason, info }.
+     */
+    _originals: null,
+
+    /** Message id and creation date of this document */
+    id: '',
+    created: '',
+
+    /** Name and (optional) identifier of the initiating party */
+    initiatorName: '',
+    initiatorId: null,
+    initiatorIdType: 'OrgId',
+
+    /**
+     * (optional) BIC of the bank a camt.055 cancellation request is sent to.
+     * Defaults to the agent of the first original payment info block.
+     */
+    assigneeBIC: null,
+
+    /**
+     * @return            The assigneeBIC, or the BIC of the agent of the first
+     *                      original payment info block.
+     */
+    _getAssigneeBIC: function() {
+      if (this.assigneeBIC || !this._originals.length) {
+        return this.assigneeBIC;
+      }
+      var pi = this._originals[0].paymentInfo;
+      return pi.method === PaymentInfoTypes.DirectDebit ? pi.creditorBIC : pi.debtorBIC;
+    },
+
+    /** Number of transactions in this document */
+    get transactionCount() {
+      return this._originals.reduce(function(count, original) {
+        return count + original.transactions.length;
+      }, 0);
+    },
+
+    /** Sum of all original amounts as a decimal string */
+    get controlSum() {
+      return formatControlSum(this._originals.reduce(function(sum, original) {
+        return sum + sumAmounts(original.transactions.map(function(item) {
+          return item.transaction;
+        }));
+      }, 0));
+    },
+
+    /**
+     * Adds all transactions of a payment info block.
+     *
+     * @param original    The SEPA.Document the payment info block was sent in.
+     * @param pi          The SEPA.PaymentInfo to reverse or cancel.
+     * @param reason      The ISO reason code, e.g. MS02 or DUPL.
+     * @param info        (optional) Additional information on the reason.
+     */
+    addPaymentInfo: function(original, pi, reason, info) {
+      if (original._paymentInfo.indexOf(pi) === -1) {
+        throw new Error('Payment info ' + pi.id + ' is not part of document ' + original.grpHdr.id);
+      }
+      var entry = this._addOriginal(original, pi, true);
+      entry.transactions = pi._payments.map(function(tx) {
+        return { transaction: tx, reason: reason, info: info || null };
+      });
+    },
+
+    /**
+     * Adds a single transaction. Transactions of the same payment info block
+     * are grouped together.
+     *
+     * @param original    The SEPA.Document the transaction was sent in.
+     * @param tx          The SEPA.Transaction to reverse or cancel.
+     * @param reason      The ISO reason code, e.g. MS02 or DUPL.
+     * @param info        (optional) Additional information on the reason.
+     */
+    addTransaction: function(original, tx, reason, info) {
+      var pi = null;
+      original._paymentInfo.forEach(function(pmtInf) {
+        if (pmtInf._payments.indexOf(tx) !== -1) {
+          pi = pmtInf;
+        }
+      });
+      if (!pi) {
+        throw new Error('Transaction ' + tx.end2endId + ' is not part of document ' + original.grpHdr.id);
+      }
+
+      var entry = null;
+      this._originals.forEach(function(existing) {
+        if (existing.paymentInfo === pi && !existing.whole) {
+          entry = existing;
+        }
+      });
+      entry = entry || this._addOriginal(original, pi, false);
+      entry.transactions.push({ transaction: tx, reason: reason, info: info || null });
+    },
+
+    /**
+     * Adds an entry for an original payment info block.
+     *
+     * @param original    The original SEPA.Document.
+     * @param pi          The original SEPA.PaymentInfo.
+     * @param whole       If true, the whole payment info block is affected.
+     * @return            The new entry.
+     */
+    _addOriginal: function(original, pi, whole) {
+      if (this._type === 'CstmrPmtRvsl') {
+        if (pi.method !== PaymentInfoTypes.DirectDebit) {
+          throw new Error('Only direct debits can be reversed');
+        }
+        // pain.007 only has a single original group per message
+        if (this._originals.length && this._originals[0].document !== original) {
+          throw new Error('A reversal can only refer to one original document');
+        }
+      }
+      var entry = { document: original, paymentInfo: pi, whole: whole, transactions: [] };
+      this._originals.push(entry);
+      return entry;
+    },
+
+    /**
+     * Checks this document for missing or malformed fields.
+     *
+     * @throws ValidationError      If at least one field is invalid.
+     */
+    validate: function() {
+      var errors = [];
+      var c = createValidationHelper(errors, '');
+      c('id', isText(this.id, 1, 35), 'must be 1 to 35 characters long');
+      c('created', isDate(this.created), 'must be a valid date');
+      c('initiatorName', isText(this.initiatorName, 1, 70), 'must be 1 to 70 characters long');
+      validatePartyId(c, this, 'initiator');
+      c('assigneeBIC', !this.assigneeBIC || validateBIC(this.assigneeBIC), 'must be a valid BIC');
+      if (this._type === 'CstmrPmtCxlReq') {
+        c('assigneeBIC', this._getAssigneeBIC(), 'must be set if the original payment info block has no BIC');
+      }
+      c('transactions', this.transactionCount > 0, 'must contain at least one transaction');
+
+      this._originals.forEach(function(original, i) {
+        original.transactions.forEach(function(item, j) {
+          var c = createValidationHelper(errors, 'originals[' + i + '].transactions[' + j + '].');
+          c('reason', isText(item.reason, 1, 4), 'must be 1 to 4 characters long');
+          c('info', !item.info || isText(item.info, 1, 105), 'must be 1 to 105 characters long');
+        });
+      });
+      throwValidationErrors(errors);
+    },
+
+    /**
+     * Serialize this document to a DOM Document.
+     *
+     * @param validate    If true, the document is validated first and an
+     *                      error is thrown if it is invalid.
+     * @return            The DOM Document.
+     */
+    toXML: function(validate) {
+      if (validate) {
+        this.validate();
+      }
+
+      var docNS = 'urn:iso:std:iso:20022:tech:xsd:' + this._format;
+      var doc = createDocument(docNS, 'Document');
+      var body = doc.documentElement;
+
+      body.setAttributeNS(XSI_NAMESPACE, 'xsi:schemaLocation', XSI_NS +
+        this._format + ' ' + this._format + '.xsd');
+      var rootElement = doc.createElementNS(docNS, this._type);
+
+      if (this._type === 'CstmrPmtRvsl') {
+        this._reversalToXML(doc, rootElement);
+      } else {
+        this._cancellationToXML(doc, rootElement);
+      }
+
+      body.appendChild(rootElement);
+      return doc;
+    },
+
+    /**
+     * Serialize this document to an XML string.
+     *
+     * @param validate    If true, the document is validated first and an
+     *                      error is thrown if it is invalid.
+     * @return            The XML string of this document.
+     */
+    toString: function(validate) {
+      return serializeToString(this.toXML(validate));
+    },
+
+    /**
+     * Validates the XML of this document against the XSD schema of its
+     * format. See validateSchema for details.
+     *
+     * @param schemaDir   (optional) Directory to read the schema from.
+     * @return            Promise resolving to { valid, errors }.
+     */
+    validateSchema: function(schemaDir) {
+      return validateSchema(this.toString(), this._format + '.xsd', schemaDir);
+    },
+
+    /**
+     * Appends the pain.007 group header and reversal blocks.
+     *
+     * @param doc         The DOM Document to create elements with.
+     * @param rootElement The DOM <CstmrPmtRvsl> Element.
+     */
+    _reversalToXML: function(doc, rootElement) {
+      var n = createXMLHelper(doc, true, false);
+      var r = createXMLHelper(doc, true, true);
+
+      var grpHdr = n(rootElement, 'GrpHdr');
+      r(grpHdr, 'MsgId', this.id);
+      r(grpHdr, 'CreDtTm', this.created.toISOString());
+      r(grpHdr, 'NbOfTxs', this.transactionCount);
+      r(grpHdr, 'CtrlSum', this.controlSum);
+      r(grpHdr, 'GrpRvsl', 'false');
+      var initiator = n(grpHdr, 'InitgPty');
+      r(initiator, 'Nm', this.initiatorName);
+      appendPartyIdToXML(doc, initiator, this.initiatorId, this.initiatorIdType);
+
+      if (!this._originals.length) {
+        return;
+      }
+
+      var original = this._originals[0].document;
+      var orgnlGrpInf = n(rootElement, 'OrgnlGrpInf');
+      r(orgnlGrpInf, 'OrgnlMsgId', original.grpHdr.id);
+      r(orgnlGrpInf, 'OrgnlMsgNmId', original._painFormat);
+
+      var txIndex = 0;
+      this._originals.forEach(function(entry, i) {
+        var pi = entry.paymentInfo;
+        var pmtInf = n(rootElement, 'OrgnlPmtInfAndRvsl');
+        r(pmtInf, 'RvslPmtInfId', this.id + ID_SEPARATOR + i);
+        r(pmtInf, 'OrgnlPmtInfId', pi.id);
+        r(pmtInf, 'PmtInfRvsl', entry.whole.toString());
+
+        entry.transactions.forEach(function(item) {
+          var tx = item.transaction;
+          var amount = formatTransactionAmount(tx);
+          var txInf = n(pmtInf, 'TxInf');
+          r(txInf, 'RvslId', this.id + ID_SEPARATOR + (txIndex++));
+          r(txInf, 'OrgnlInstrId', tx.id);
+          r(txInf, 'OrgnlEndToEndId', tx.end2endId);
+          r(txInf, 'OrgnlInstdAmt', amount).setAttribute('Ccy', tx.currency);
+          r(txInf, 'RvsdInstdAmt', amount).setAttribute('Ccy', tx.currency);
+          appendReasonToXML(doc, txInf, 'RvslRsnInf', item.reason, item.info);
+
+          var txRef = n(txInf, 'OrgnlTxRef');
+          r(txRef, 'ReqdColltnDt', pi.collectionDate.toISOString().substr(0, 10));
+          var creditorScheme = n(txRef, 'CdtrSchmeId', 'Id', 'PrvtId', 'Othr');
+          r(creditorScheme, 'Id', pi.creditorId);
+          r(creditorScheme, 'SchmeNm', 'Prtry', 'SEPA');
+
+          var pmtTpInf = n(txRef, 'PmtTpInf');
+          r(pmtTpInf, 'SvcLvl', 'Cd', 'SEPA');
+          if (pi.localInstrumentation) {
+            r(pmtTpInf, 'LclInstrm', 'Cd', pi.localInstrumentation);
+          }
+          r(pmtTpInf, 'SeqTp', pi.sequenceType);
+
+          var mandate = n(txRef, 'MndtRltdInf');
+          r(mandate, 'MndtId', tx.mandateId);
+          r(mandate, 'DtOfSgntr', tx.mandateSignatureDate.toISOString().substr(0, 10));
+
+          r(txRef, 'Dbtr', 'Nm', tx.debtorName);
+          r(txRef, 'DbtrAcct', 'Id', 'IBAN', tx.debtorIBAN);
+          appendAgentToXML(doc, txRef, 'DbtrAgt', 'BIC', tx.debtorBIC);
+          appendAgentToXML(doc, txRef, 'CdtrAgt', 'BIC', pi.creditorBIC);
+          r(txRef, 'Cdtr', 'Nm', pi.creditorName);
+          r(txRef, 'CdtrAcct', 'Id', 'IBAN', pi.creditorIBAN);
+        }, this);
+      }, this);
+    },
+
+    /**
+     * Appends the camt.055 assignment and cancellation blocks.
+     *
+     * @param doc         The DOM Document to create elements with.
+     * @param rootElement The DOM <CstmrPmtCxlReq> Element.
+     */
+    _cancellationToXML: function(doc, rootElement) {
+      var n = createXMLHelper(doc, true, false);
+      var r = createXMLHelper(doc, true, true);
+
+      var assignment = n(rootElement, 'Assgnmt');
+      r(assignment, 'Id', this.id);
+      var assigner = n(assignment, 'Assgnr', 'Pty');
+      r(assigner, 'Nm', this.initiatorName);
+      appendPartyIdToXML(doc, assigner, this.initiatorId, this.initiatorIdType);
+      appendAgentToXML(doc, n(assignment, 'Assgne'), 'Agt', 'BIC', this._getAssigneeBIC());
+      r(assignment, 'CreDtTm', this.created.toISOString());
+
+      var ctrlData = n(rootElement, 'CtrlData');
+      r(ctrlData, 'NbOfTxs', this.transactionCount);
+      r(ctrlData, 'CtrlSum', this.controlSum);
+
+      var underlying = n(rootElement, 'Undrlyg');
+      var txIndex = 0;
+      this._originals.forEach(function(entry, i) {
+        var pi = entry.paymentInfo;
+        var pmtInf = n(underlying, 'OrgnlPmtInfAndCxl');
+        r(pmtInf, 'PmtCxlId', this.id + ID_SEPARATOR + i);
+        r(pmtInf, 'OrgnlPmtInfId', pi.id);
+        var orgnlGrpInf = n(pmtInf, 'OrgnlGrpInf');
+        r(orgnlGrpInf, 'OrgnlMsgId', entry.document.grpHdr.id);
+        r(orgnlGrpInf, 'OrgnlMsgNmId', entry.document._painFormat);
+        r(pmtInf, 'PmtInfCxl', entry.whole.toString());
+
+        entry.transactions.forEach(function(item) {
+          var tx = item.transaction;
+          var txInf = n(pmtInf, 'TxInf');
+          r(txInf, 'CxlId', this.id + ID_SEPARATOR + (txIndex++));
+          r(txInf, 'OrgnlInstrId', tx.id);
+          r(txInf, 'OrgnlEndToEndId', tx.end2endId);
+          r(txInf, 'OrgnlInstdAmt', formatTransactionAmount(tx)).setAttribute('Ccy', tx.currency);
+          if (pi.method === PaymentInfoTypes.DirectDebit) {
+            r(txInf, 'OrgnlReqdColltnDt', pi.collectionDate.toISOString().substr(0, 10));
+          } else {
+            r(txInf, 'OrgnlReqdExctnDt', pi.requestedExecutionDate.toISOString().substr(0, 10));
+          }
+          appendReasonToXML(doc, txInf, 'CxlRsnInf', item.reason, item.info);
+        }, this);
+      }, this);
+    }
+  };
+
+  /**
+   * Root and statement element names of the camt messages.
+   */
+  var CAMTTypes = {
+    'camt.052': { root: 'BkToCstmrAcctRpt', statement: 'Rpt' },
+    'camt.053': { root: 'BkToCstmrStmt', statement: 'Stmt' },
+    'camt.054': { root: 'BkToCstmrDbtCdtNtfctn', statement: 'Ntfctn' }
+  };
+
+  /**
+   * Parses a camt.052 account report, camt.053 statement or camt.054
+   * notification. The result has this structure, amounts are strings:
+   *
+   * { type, messageId, created, statements: [{
+   *     id, created, iban, entries: [{
+   *       reference, bankReference, amount, currency, creditDebit (CRDT/DBIT),
+   *       reversal, status (BOOK/PDNG/INFO), bookingDate, valueDate,
+   *       details: [{
+   *         messageId, paymentInfoId, instructionId, end2endId, mandateId,
+   *         amount, currency, counterpartyName, counterpartyIBAN,
+   *         remittanceInfo, returnReason, returnInfo
+   *       }]
+   *     }]
+   * }]}
+   *
+   * @param xml         The XML string or DOM Document to parse.
+   * @return            The parsed message.
+   */
+  function parseStatement(xml) {
+    var g = getXMLValue;
+    var body = getDocumentElement(xml, 'camt');
+    var match = /(camt\.05[234])\.\d{3}\.\d{2}$/.exec(body.namespaceURI || '');
+    if (!match) {
+      throw new Error('Unsupported camt document namespace: ' + body.namespaceURI);
+    }
+
+    var camtType = CAMTTypes[match[1]];
+    var rootElement = getXMLChildren(body, camtType.root)[0];
+    if (!rootElement) {
+      throw new Error('Missing ' + camtType.root + ' element');
+    }
+
+    return {
+      type: match[0],
+      messageId: g(rootElement, 'GrpHdr', 'MsgId'),
+      created: new Date(g(rootElement, 'GrpHdr', 'CreDtTm')),
+      statements: getXMLChildren(rootElement, camtType.statement).map(function(stmt) {
+        return {
+          id: g(stmt, 'Id'),
+          created: new Date(g(stmt, 'CreDtTm')),
+          iban: g(stmt, 'Acct', 'Id', 'IBAN'),
+          entries: getXMLChildren(stmt, 'Ntry').map(_parseStatementEntry)
+        };
+      })
+    };
+  }
+
+  /**
+   * Parses a camt <Ntry> element, see parseStatement.
+   *
+   * @param ntry        The DOM <Ntry> Element.
+   * @return            The parsed entry.
+   */
+  function _parseStatementEntry(ntry) {
+    var g = getXMLValue;
+    var amount = getXMLChildren(ntry, 'Amt')[0];
+    var entry = {
+      reference: g(ntry, 'NtryRef'),
+      bankReference: g(ntry, 'AcctSvcrRef'),
+      amount: amount ? amount.textContent : null,
+      currency: amount ? amount.getAttribute('Ccy') : null,
+      creditDebit: g(ntry, 'CdtDbtInd'),
+      reversal: g(ntry, 'RvslInd') === 'true',
+      status: g(ntry, 'Sts', 'Cd') || g(ntry, 'Sts'),
+      bookingDate: _parseStatementDate(getXMLChildren(ntry, 'BookgDt')[0]),
+      valueDate: _parseStatementDate(getXMLChildren(ntry, 'ValDt')[0]),
+      details: []
+    };
+
+    getXMLChildren(ntry, 'NtryDtls').forEach(function(ntryDtls) {
+      getXMLChildren(ntryDtls, 'TxDtls').forEach(function(txDtls) {
+        entry.details.push(_parseStatementDetails(txDtls, entry));
+      });
+    });
+    return entry;
+  }
+
+  /**
+   * Parses a camt <TxDtls> element, see parseStatement.
+   *
+   * @param txDtls      The DOM <TxDtls> Element.
+   * @param entry       The parsed entry the details belong to.
+   * @return            The parsed details.
+   */
+  function _parseStatementDetails(txDtls, entry) {
+    var g = getXMLValue;
+    var amtDtls = getXMLChildren(txDtls, 'AmtDtls')[0];
+    var amount = getXMLChildren(txDtls, 'Amt')[0] ||
+                 getXMLChildren(getXMLChildren(amtDtls, 'TxAmt')[0], 'Amt')[0] ||
+                 getXMLChildren(getXMLChildren(amtDtls, 'InstdAmt')[0], 'Amt')[0];
+    var rtrInf = getXMLChildren(txDtls, 'RtrInf')[0];
+
+    // The counterparty of an incoming payment is the debtor. For returns the
+    // direction is reversed, so the counterparty is still the original one.
+    var incoming = (entry.creditDebit === 'CRDT') !== !!(rtrInf || entry.reversal);
+    var party = incoming ? 'Dbtr' : 'Cdtr';
+    var parties = getXMLChildren(txDtls, 'RltdPties')[0];
+
+    return {
+      messageId: g(txDtls, 'Refs', 'MsgId'),
+      paymentInfoId: g(txDtls, 'Refs', 'PmtInfId'),
+      instructionId: g(txDtls, 'Refs', 'InstrId'),
+      end2endId: g(txDtls, 'Refs', 'EndToEndId'),
+      mandateId: g(txDtls, 'Refs', 'MndtId'),
+      amount: amount ? amount.textContent : entry.amount,
+      currency: amount ? amount.getAttribute('Ccy') : entry.currency,
+      counterpartyName: g(parties, party, 'Nm') || g(parties, party, 'Pty', 'Nm'),
+      counterpartyIBAN: g(parties, party + 'Acct', 'Id', 'IBAN'),
+      remittanceInfo: g(txDtls, 'RmtInf', 'Ustrd'),
+      returnReason: g(rtrInf, 'Rsn', 'Cd') || g(rtrInf, 'Rsn', 'Prtry'),
+      returnInfo: g(rtrInf, 'AddtlInf')
+    };
+  }
+
+  /**
+   * Parses a camt date element like <BookgDt>, which contains either <Dt> or
+   * <DtTm>.
+   *
+   * @param node        The DOM Element, may be null.
+   * @return            The date, or null if not set.
+   */
+  function _parseStatementDate(node) {
+    var value = getXMLValue(node, 'Dt') || getXMLValue(node, 'DtTm');
+    return value ? new Date(value) : null;
+  }
+
+  /**
+   * Descriptions of the status codes used in pain.002 status reports.
+   */
+  var StatusCodes = {
+    ACCP: 'Accepted customer profile',
+    ACSC: 'Accepted settlement completed',
+    ACSP: 'Accepted settlement in process',
+    ACTC: 'Accepted technical validation',
+    ACWC: 'Accepted with change',
+    ACWP: 'Accepted without posting',
+    PART: 'Partially accepted',
+    PDNG: 'Pending',
+    RCVD: 'Received',
+    RJCT: 'Rejected'
+  };
+
+  /**
+   * Descriptions of the ISO status reason codes commonly used for SEPA
+   * rejections and returns.
+   */
+  var ReasonCodes = {
+    AC01: 'Account identifier incorrect',
+    AC04: 'Account closed',
+    AC06: 'Account blocked',
+    AC13: 'Debtor account is a consumer account',
+    AG01: 'Transaction forbidden on this type of account',
+    AG02: 'Invalid bank operation code',
+    AM04: 'Insufficient funds',
+    AM05: 'Duplicate payment',
+    BE05: 'Unrecognised initiating party',
+    CNOR: 'Creditor bank is not registered',
+    DNOR: 'Debtor bank is not registered',
+    DUPL: 'Duplicate payment',
+    FF01: 'Invalid file format',
+    FOCR: 'Return following a cancellation request',
+    MD01: 'No mandate',
+    MD02: 'Missing mandatory information in mandate',
+    MD06: 'Refund request by end customer',
+    MD07: 'End customer deceased',
+    MS02: 'Refusal by the debtor',
+    MS03: 'Reason not specified',
+    RC01: 'Bank identifier incorrect',
+    RR01: 'Missing debtor account or identification',
+    RR02: 'Missing debtor name or address',
+    RR03: 'Missing creditor name or address',
+    RR04: 'Regulatory reason',
+    SL01: 'Specific service offered by the debtor bank',
+    TM01: 'Received after cut-off time'
+  };
+
+  /**
+   * Parses a pain.002 customer payment status report. The result has this
+   * structure, reasons are arrays of { code, description, info }:
+   *
+   * { type, messageId, created, originalMessageId, originalMessageType,
+   *   status, statusDescription, reasons, paymentInfos: [{
+   *     paymentInfoId, status, statusDescription, reasons, transactions: [{
+   *       statusId, instructionId, end2endId, status, statusDescription,
+   *       reasons, amount, currency, mandateId
+   *     }]
+   * }]}
+   *
+   * @param xml         The XML string or DOM Document to parse.
+   * @return            The parsed status report.
+   */
+  function parseStatusReport(xml) {
+    var g = getXMLValue;
+    var body = getDocumentElement(xml, 'pain');
+    var match = /pain\.002\.\d{3}\.\d{2}$/.exec(body.namespaceURI || '');
+    if (!match) {
+      throw new Error('Unsupported status report namespace: ' + body.namespaceURI);
+    }
+
+    var rootElement = getXMLChildren(body, 'CstmrPmtStsRpt')[0];
+    if (!rootElement) {
+      throw new Error('Missing CstmrPmtStsRpt element');
+    }
+
+    var grpInf = getXMLChildren(rootElement, 'OrgnlGrpInfAndSts')[0];
+    var grpStatus = g(grpInf, 'GrpSts');
+    return {
+      type: match[0],
+      messageId: g(rootElement, 'GrpHdr', 'MsgId'),
+      created: new Date(g(rootElement, 'GrpHdr', 'CreDtTm')),
+      originalMessageId: g(grpInf, 'OrgnlMsgId'),
+      originalMessageType: g(grpInf, 'OrgnlMsgNmId'),
+      status: grpStatus,
+      statusDescription: StatusCodes[grpStatus] || null,
+      reasons: _parseStatusReasons(grpInf),
+      paymentInfos: getXMLChildren(rootElement, 'OrgnlPmtInfAndSts').map(function(pmtInf) {
+        var pmtInfStatus = g(pmtInf, 'PmtInfSts');
+        return {
+          paymentInfoId: g(pmtInf, 'OrgnlPmtInfId'),
+          status: pmtInfStatus,
+          statusDescription: StatusCodes[pmtInfStatus] || null,
+          reasons: _parseStatusReasons(pmtInf),
+          transactions: getXMLChildren(pmtInf, 'TxInfAndSts').map(_parseTransactionStatus)
+        };
+      })
+    };
+  }
+
+  /**
+   * Parses a pain.002 <TxInfAndSts> element, see parseStatusReport.
+   *
+   * @param txInf       The DOM <TxInfAndSts> Element.
+   * @return            The parsed transaction status.
+   */
+  function _parseTransactionStatus(txInf) {
+    var g = getXMLValue;
+    var txRef = getXMLChildren(txInf, 'OrgnlTxRef')[0];
+    var amount = getXMLChildren(getXMLChildren(txRef, 'Amt')[0], 'InstdAmt')[0];
+    var txStatus = g(txInf, 'TxSts');
+    return {
+      statusId: g(txInf, 'StsId'),
+      instructionId: g(txInf, 'OrgnlInstrId'),
+      end2endId: g(txInf, 'OrgnlEndToEndId'),
+      status: txStatus,
+      statusDescription: StatusCodes[txStatus] || null,
+      reasons: _parseStatusReasons(txInf),
+      amount: amount ? amount.textContent : null,
+      currency: amount ? amount.getAttribute('Ccy') : null,
+      mandateId: g(txRef, 'MndtRltdInf', 'MndtId')
+    };
+  }
+
+  /**
+   * Parses the <StsRsnInf> elements of a pain.002 status element.
+   *
+   * @param node        The DOM Element containing the <StsRsnInf> elements.
+   * @return            Array of { code, description, info }.
+   */
+  function _parseStatusReasons(node) {
+    return getXMLChildren(node, 'StsRsnInf').map(function(rsnInf) {
+      var code = getXMLValue(rsnInf, 'Rsn', 'Cd') || getXMLValue(rsnInf, 'Rsn', 'Prtry');
+      var info = getXMLChildren(rsnInf, 'AddtlInf').map(function(node) {
+        return node.textContent;
+      });
+      return {
+        code: code,
+        description: ReasonCodes[code] || null,
+        info: info.length ? info.join(' ') : null
+      };
+    });
+  }
+
+  var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * Calculates Easter Sunday of a year in the Gregorian calendar, using the
+   * anonymous Gregorian algorithm.
+   *
+   * @param year        The full year.
+   * @return            The month (0-based) and day of Easter Sunday.
+   */
+  function _easterSunday(year) {
+    var a = year % 19;
+    var b = Math.floor(year / 100);
+    var c = year % 100;
+    var d = Math.floor(b / 4);
+    var e = b % 4;
+    var f = Math.floor((b + 8) / 25);
+    var g = Math.floor((b - f + 1) / 3);
+    var h = (19 * a + b - d - g + 15) % 30;
+    var i = Math.floor(c / 4);
+    var k = c % 4;
+    var l = (32 + 2 * e + 2 * i - h - k) % 7;
+    var m = Math.floor((a + 11 * h + 22 * l) / 451);
+    var month = Math.floor((h + l - 7 * m + 114) / 31);
+    var day = ((h + l - 7 * m + 114) % 31) + 1;
+    return { month: month - 1, day: day };
+  }
+
+  /**
+   * Checks if a date is a TARGET2 business day. TARGET2 is closed on weekends,
+   * New Year's Day, Good Friday, Easter Monday, 1 May and 25/26 December.
+   * Like the serialized dates, the check uses the UTC date.
+   *
+   * @param date        The date to check.
+   * @return            True, if the date is a business day.
+   */
+  function isBusinessDay(date) {
+    var weekday = date.getUTCDay();
+    if (weekday === 0 || weekday === 6) {
+      return false;
+    }
+
+    var year = date.getUTCFullYear();
+    var month = date.getUTCMonth();
+    var day = date.getUTCDate();
+    if ((month === 0 && day === 1) || (month === 4 && day === 1) ||
+        (month === 11 && (day === 25 || day === 26))) {
+      return false;
+    }
+
+    var easter = _easterSunday(year);
+    var offset = Math.round((Date.UTC(year, month, day) - Date.UTC(year, easter.month, easter.day)) / MS_PER_DAY);
+    return offset !== -2 && offset !== 1;
+  }
+
+  /**
+   * Returns the first TARGET2 business day after a date. The time of the day
+   * is kept.
+   *
+   * @param date        The date to start from.
+   * @return            The next business day as a new Date.
+   */
+  function nextBusinessDay(date) {
+    var next = new Date(date.getTime() + MS_PER_DAY);
+    while (!isBusinessDay(next)) {
+      next = new Date(next.getTime() + MS_PER_DAY);
+    }
+    return next;
+  }
+
+  /**
+   * Number of TARGET2 business days between the submission of a direct debit
+   * and its collection date, by local instrument and sequence type. The
+   * defaults follow the SEPA rulebooks, which require D-1 for all
+   * collections. Banks with earlier cut-off times can be accounted for by
+   * changing these values.
+   */
+  var CollectionLeadDays = {
+    CORE: { FRST: 1, RCUR: 1, FNAL: 1, OOFF: 1 },
+    COR1: { FRST: 1, RCUR: 1, FNAL: 1, OOFF: 1 },
+    B2B:  { FRST: 1, RCUR: 1, FNAL: 1, OOFF: 1 }
+  };
+
+  /**
+   * Limits of instant credit transfers. The scheme has no maximum amount, so
+   * the maximum amount is a per-bank setting: set it to the limit agreed
+   * with the bank. It is null by default, which does not check it.
+   */
+  var InstantLimits = {
+    maxAmount: null
+  };
+
+  /**
+   * Calculates the earliest collection date for a direct debit. If the
+   * submission date is not a business day, the submission counts as received
+   * on the next business day.
+   *
+   * @param submitDate    The date the document is submitted to the bank.
+   * @param sequenceType  The sequence type, FRST, RCUR, FNAL or OOFF.
+   * @param instrument    (optional) The local instrument, defaults to CORE.
+   * @return              The earliest collection date.
+   */
+  function earliestCollectionDate(submitDate, sequenceType, instrument) {
+    var leadDays = (CollectionLeadDays[instrument || 'CORE'] || {})[sequenceType];
+    if (typeof leadDays !== 'number') {
+      throw new Error('Unknown local instrument or sequence type: ' + instrument + ' ' + sequenceType);
+    }
+
+    var date = isBusinessDay(submitDate) ? submitDate : nextBusinessDay(submitDate);
+    for (var i = 0; i < leadDays; ++i) {
+      date = nextBusinessDay(date);
+    }
+    return date;
+  }
+
+  /**
+   * Replace letters with numbers using the SEPA scheme A=10, B=11, ...
+   * Non-alphanumerical characters are dropped.
+   *
+   * @param str     The alphanumerical input string
+   * @return        The input string with letters replaced
+   */
+  function _replaceChars(str) {
+    var res = '';
+    for (var i = 0, l = str.length; i < l; ++i) {
+      var cc = str.charCodeAt(i);
+      if (cc >= 65 && cc <= 90) {
+        res += (cc - 55).toString();
+      } else if (cc >= 97 && cc <= 122) {
+        res += (cc - 87).toString();
+      } else if (cc >= 48 && cc <= 57) {
+        res += str[i];
+      }
+    }
+    return res;
+  }
+
+  /**
+   * mod97 function for large numbers
+   *
+   * @param str     The number as a string.
+   * @return        The number mod 97.
+   */
+  function _txtMod97(str) {
+    var res = 0;
+    for (var i = 0, l = str.length; i < l; ++i) {
+      res = (res * 10 + parseInt(str[i], 10)) % 97;
+    }
+    return res;
+  }
+
+  /**
+   * BBAN formats per country from the SWIFT IBAN registry, in the notation
+   * used there: n = digits, a = upper case letters, c = upper case letters
+   * and digits. The IBAN length is the BBAN length plus four.
+   */
+  var IBANFormats = {
+    AD: '4n4n12c',     AE: '3n16n',       AL: '8n16c',       AT: '5n11n',
+    AZ: '4a20c',       BA: '3n3n8n2n',    BE: '3n7n2n',      BG: '4a4n2n8c',
+    BH: '4a14c',       BI: '5n5n11n2n',   BR: '8n5n10n1a1c', BY: '4c4n16c',
+    CH: '5n12c',       CR: '4n14n',       CY: '3n5n16c',     CZ: '4n6n10n',
+    DE: '8n10n',       DJ: '5n5n11n2n',   DK: '4n9n1n',      DO: '4c20n',
+    EE: '2n2n11n1n',   EG: '4n4n17n',     ES: '4n4n1n1n10n', FI: '3n11n',
+    FK: '2a12n',       FO: '4n9n1n',      FR: '5n5n11c2n',   GB: '4a6n8n',
+    GE: '2a16n',       GI: '4a15c',       GL: '4n9n1n',      GR: '3n4n16c',
+    GT: '4c20c',       HN: '4a20n',       HR: '7n10n',       HU: '3n4n1n15n1n',
+    IE: '4a6n8n',      IL: '3n3n13n',     IQ: '4a3n12n',     IS: '4n2n6n10n',
+    IT: '1a5n5n12c',   JO: '4a4n18c',     KW: '4a22c',       KZ: '3n13c',
+    LB: '4n20c',       LC: '4a24c',       LI: '5n12c',       LT: '5n11n',
+    LU: '3n13c',       LV: '4a13c',       LY: '3n3n15n',     MC: '5n5n11c2n',
+    MD: '2c18c',       ME: '3n13n2n',     MK: '3n10c2n',     MN: '4n12n',
+    MR: '5n5n11n2n',   MT: '4a5n18c',     MU: '4a2n2n12n3n3a', NI: '4a20n',
+    NL: '4a10n',       NO: '4n6n1n',      OM: '3n16c',       PK: '4a16c',
+    PL: '8n16n',       PS: '4a21c',       PT: '4n4n11n2n',   QA: '4a21c',
+    RO: '4a16c',       RS: '3n13n2n',     RU: '9n5n15c',     SA: '2n18c',
+    SC: '4a2n2n16n3a', SD: '2n12n',       SE: '3n16n1n',     SI: '5n8n2n',
+    SK: '4n6n10n',     SM: '1a5n5n12c',   SO: '4n3n12n',     ST: '4n4n11n2n',
+    SV: '4a20n',       TL: '3n14n2n',     TN: '2n3n13n2n',   TR: '5n1n16c',
+    UA: '6n19c',       VA: '3n15n',       VG: '4a16n',       XK: '4n10n2n',
+    YE: '4a4n18c'
+  };
+
+  /**
+   * Converts a BBAN format from the IBAN registry into a regular expression
+   * and calculates the BBAN length.
+   *
+   * Example: 4a6n8n -> { length: 18, regex: /^[A-Z]{4}[0-9]{6}[0-9]{8}$/ }
+   *
+   * @param format      The BBAN format, e.g. 8n10n.
+   * @return            An object with the length and regex properties.
+   */
+  function _parseBBANFormat(format) {
+    var classes = { n: '[0-9]', a: '[A-Z]', c: '[A-Z0-9]' };
+    var length = 0;
+    var regex = format.replace(/(\d+)([nac])/g, function(match, count, type) {
+      length += parseInt(count, 10);
+      return classes[type] + '{' + count + '}';
+    });
+    return { length: length, regex: new RegExp('^' + regex + '$') };
+  }
+
+  /**
+   * Checks if an IBAN is valid. Besides the checksum, the length and BBAN
+   * format for the country is checked against the IBAN registry. If a result
+   * object is passed, its reason property is set to the reason for failure:
+   *
+   * 'characters' - The IBAN contains illegal characters, e.g. spaces
+   * 'country'    - The country is unknown or does not use IBANs
+   * 'length'     - The IBAN has the wrong length for the country
+   * 'format'     - The BBAN does not match the format for the country
+   * 'checksum'   - The checksum is wrong
+   *
+   * @param iban        The IBAN to check.
+   * @param result      (optional) An object to set the reason property on.
+   * @return            True, if the IBAN is valid.
+   */
+  function validateIBAN(iban, result) {
+    var reason = null;
+    var format = typeof iban === 'string' && IBANFormats[iban.substr(0, 2)];
+    var bban = format && _parseBBANFormat(format);
+
+    if (typeof iban !== 'string' || !/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(iban)) {
+      reason = 'characters';
+    } else if (!format) {
+      reason = 'country';
+    } else if (iban.length !== bban.length + 4) {
+      reason = 'length';
+    } else if (!bban.regex.test(iban.substr(4))) {
+      reason = 'format';
+    } else if (_txtMod97(_replaceChars(iban.substr(4) + iban.substr(0, 4))) !== 1) {
+      reason = 'checksum';
+    }
+
+    if (result && typeof result === 'object') {
+      result.reason = reason;
+    }
+    return reason === null;
+  }
+
+  /**
+   * Calculates the checksum for the given IBAN. The input IBAN should pass 00
+   * as the checksum digits, a full iban with the corrected checksum will be
+   * returned.
+   *
+   * Example: DE00123456781234567890 -> DE87123456781234567890
+   *
+   * @param iban        The IBAN to calculate the checksum for.
+   * @return            The corrected IBAN.
+   */
+  function checksumIBAN(iban) {
+    var ibrev = iban.substr(4) + iban.substr(0, 2) + '00';
+    var mod = _txtMod97(_replaceChars(ibrev));
+    return iban.substr(0, 2) + ('0' + (98 - mod)).substr(-2,2) + iban.substr(4);
+  }
+
+  /**
+   * Checks if a BIC is valid. It consists of the four letter bank code, the
+   * two letter country code, two letters or digits for the location and
+   * optionally three letters or digits for the branch.
+   *
+   * @param bic         The BIC to check.
+   * @return            True, if the BIC is valid.
+   */
+  function validateBIC(bic) {
+    return typeof bic === 'string' && /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic);
+  }
+
+  /**
+   * Checks if a Creditor ID is valid (no country specific checks are done).
+   *
+   * @param iban        The Creditor ID to check.
+   * @return            True, if the Creditor IDis valid.
+   */
+  function validateCreditorID(cid) {
+    var cidrev = cid.substr(7) + cid.substr(0, 4);
+    return _txtMod97(_replaceChars(cidrev)) === 1;
+  }
+
+  /**
+   * Calculates the checksum for the given Creditor ID . The input Creditor ID
+   * should pass 00 as the checksum digits, a full Creditor ID with the
+   * corrected checksum will be returned.
+   *
+   * Example: DE00ZZZ09999999999 -> DE98ZZZ09999999999
+   *
+   * @param iban        The IBAN to calculate the checksum for.
+   * @return            The corrected IBAN.
+   */
+  function checksumCreditorID(cid) {
+    var cidrev = cid.substr(7) + cid.substr(0, 2) + '00';
+    var mod = _txtMod97(_replaceChars(cidrev));
+    return cid.substr(0, 2) + ('0' + (98 - mod)).substr(-2,2) + cid.substr(4);
+  }
+
+  /**
+   * Checks if an ISO 11649 creditor reference is valid. It consists of RF,
+   * two check digits and up to 21 letters or digits.
+   *
+   * @param ref         The creditor reference to check.
+   * @return            True, if the creditor reference is valid.
+   */
+  function validateCreditorReference(ref) {
+    if (typeof ref !== 'string' || !/^RF[0-9]{2}[A-Za-z0-9]{1,21}$/.test(ref)) {
+      return false;
+    }
+    var refrev = ref.substr(4) + ref.substr(0, 4);
+    return _txtMod97(_replaceChars(refrev)) === 1;
+  }
+
+  /**
+   * Calculates the checksum for the given ISO 11649 creditor reference. The
+   * input reference should pass 00 as the checksum digits, a full reference
+   * with the corrected checksum will be returned.
+   *
+   * Example: RF00539007547034 -> RF18539007547034
+   *
+   * @param ref         The creditor reference to calculate the checksum for.
+   * @return            The corrected creditor reference.
+   */
+  function checksumCreditorReference(ref) {
+    var refrev = ref.substr(4) + ref.substr(0, 2) + '00';
+    var mod = _txtMod97(_replaceChars(refrev));
+    return ref.substr(0, 2) + ('0' + (98 - mod)).substr(-2,2) + ref.substr(4);
+  }
+
+  /** Carry table of the mod 10 recursive check digit algorithm */
+  var MOD10_TABLE = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+
+  /**
+   * Calculates the mod 10 recursive check digit of a string of digits, as
+   * used by Swiss QR references.
+   *
+   * @param digits      The digits without the check digit.
+   * @return            The check digit.
+   */
+  function _mod10Recursive(digits) {
+    var carry = 0;
+    for (var i = 0, l = digits.length; i < l; ++i) {
+      carry = MOD10_TABLE[(carry + parseInt(digits[i], 10)) % 10];
+    }
+    return (10 - carry) % 10;
+  }
+
+  /**
+   * Checks if a Swiss QR reference is valid. It consists of 27 digits, the
+   * last one being a mod 10 recursive check digit.
+   *
+   * @param ref         The QR reference to check.
+   * @return            True, if the QR reference is valid.
+   */
+  function validateQRReference(ref) {
+    return typeof ref === 'string' && /^[0-9]{27}$/.test(ref) &&
+           _mod10Recursive(ref.substr(0, 26)) === parseInt(ref[26], 10);
+  }
+
+  /**
+   * Calculates the check digit for the given Swiss QR reference. The input
+   * reference should pass 0 as the check digit, a full reference with the
+   * corrected check digit will be returned.
+   *
+   * Example: 210000000003139471430009010 -> 210000000003139471430009017
+   *
+   * @param ref         The QR reference to calculate the check digit for.
+   * @return            The corrected QR reference.
+   */
+  function checksumQRReference(ref) {
+    return ref.substr(0, 26) + _mod10Recursive(ref.substr(0, 26));
+  }
+
+  /**
+   * Checks if an IBAN is a Swiss QR-IBAN. QR-IBANs have an institution id
+   * from 30000 to 31999 and can only be paid to with a QR reference.
+   *
+   * @param iban        The IBAN to check.
+   * @return            True, if the IBAN is a QR-IBAN.
+   */
+  function isQRIBAN(iban) {
+    return typeof iban === 'string' && /^(CH|LI)\d{2}3[01]\d{3}/.test(iban);
+  }
+
+  /** Largest integer part of an amount allowed by the schemas, 999999999 */
+  var MAX_AMOUNT_INTEGER = 999999999;
+
+  /**
+   * Number of decimals control sums are calculated with, enough to add up
+   * amounts in all currencies exactly.
+   */
+  var CONTROL_SUM_DECIMALS = 3;
+
+  /**
+   * ISO 4217 currency codes with the number of decimals of their minor unit.
+   * Fund codes and precious metals are not included.
+   */
+  var CurrencyDecimals = {
+    AED: 2, AFN: 2, ALL: 2, AMD: 2, ANG: 2, AOA: 2, ARS: 2, AUD: 2, AWG: 2, AZN: 2,
+    BAM: 2, BBD: 2, BDT: 2, BGN: 2, BHD: 3, BIF: 0, BMD: 2, BND: 2, BOB: 2, BRL: 2,
+    BSD: 2, BTN: 2, BWP: 2, BYN: 2, BZD: 2, CAD: 2, CDF: 2, CHF: 2, CLP: 0, CNY: 2,
+    COP: 2, CRC: 2, CUP: 2, CVE: 2, CZK: 2, DJF: 0, DKK: 2, DOP: 2, DZD: 2, EGP: 2,
+    ERN: 2, ETB: 2, EUR: 2, FJD: 2, FKP: 2, GBP: 2, GEL: 2, GHS: 2, GIP: 2, GMD: 2,
+    GNF: 0, GTQ: 2, GYD: 2, HKD: 2, HNL: 2, HTG: 2, HUF: 2, IDR: 2, ILS: 2, INR: 2,
+    IQD: 3, IRR: 2, ISK: 0, JMD: 2, JOD: 3, JPY: 0, KES: 2, KGS: 2, KHR: 2, KMF: 0,
+    KPW: 2, KRW: 0, KWD: 3, KYD: 2, KZT: 2, LAK: 2, LBP: 2, LKR: 2, LRD: 2, LSL: 2,
+    LYD: 3, MAD: 2, MDL: 2, MGA: 2, MKD: 2, MMK: 2, MNT: 2, MOP: 2, MRU: 2, MUR: 2,
+    MVR: 2, MWK: 2, MXN: 2, MYR: 2, MZN: 2, NAD: 2, NGN: 2, NIO: 2, NOK: 2, NPR: 2,
+    NZD: 2, OMR: 3, PAB: 2, PEN: 2, PGK: 2, PHP: 2, PKR: 2, PLN: 2, PYG: 0, QAR: 2,
+    RON: 2, RSD: 2, RUB: 2, RWF: 0, SAR: 2, SBD: 2, SCR: 2, SDG: 2, SEK: 2, SGD: 2,
+    SHP: 2, SLE: 2, SOS: 2, SRD: 2, SSP: 2, STN: 2, SVC: 2, SYP: 2, SZL: 2, THB: 2,
+    TJS: 2, TMT: 2, TND: 3, TOP: 2, TRY: 2, TTD: 2, TWD: 2, TZS: 2, UAH: 2, UGX: 0,
+    USD: 2, UYU: 2, UZS: 2, VED: 2, VES: 2, VND: 0, VUV: 0, WST: 2, XAF: 0, XCD: 2,
+    XCG: 2, XOF: 0, XPF: 0, YER: 2, ZAR: 2, ZMW: 2, ZWG: 2
+  };
+
+  /**
+   * Returns the number of decimals of a currency, or two for unknown
+   * currencies.
+   *
+   * @param currency    The ISO 4217 currency code.
+   * @return            The number of decimals.
+   */
+  function currencyDecimals(currency) {
+    return Object.prototype.hasOwnProperty.call(CurrencyDecimals, currency) ? CurrencyDecimals[currency] : 2;
+  }
+
+  /**
+   * Parses an amount given as number or decimal string into integer minor
+   * units, e.g. cents. Summing up integers avoids the rounding errors of
+   * floating point numbers.
+   *
+   * Example: '50.23' -> 5023, 0.1 -> 10, 0.001 -> NaN
+   *
+   * @param amount      The amount as number or string.
+   * @param required    If true, an error is thrown for invalid amounts.
+   * @param decimals    (optional) The number of decimals, defaults to two.
+   * @return            The amount in minor units, or NaN if the amount is
+   *                      negative, has too many decimals or exceeds
+   *                      999999999 in its integer part.
+   */
+  function parseAmount(amount, required, decimals) {
+    decimals = decimals === undefined ? 2 : decimals;
+    var str = '';
+    if (typeof amount === 'number') {
+      str = String(amount);
+    } else if (typeof amount === 'string') {
+      str = amount.trim();
+    }
+    var match = /^(\d+)(?:\.(\d+))?$/.exec(str);
+    var units = NaN;
+
+    if (match && (match[2] || '').length <= decimals && parseInt(match[1], 10) <= MAX_AMOUNT_INTEGER) {
+      var fraction = ((match[2] || '') + '000').substr(0, decimals);
+      units = parseInt(match[1], 10) * Math.pow(10, decimals) + (fraction ? parseInt(fraction, 10) : 0);
+    }
+    if (required && isNaN(units)) {
+      throw new Error('Invalid amount: ' + amount);
+    }
+    return units;
+  }
+
+  /**
+   * Formats integer minor units as a decimal string.
+   *
+   * Example: 5023 -> '50.23'
+   *
+   * @param units       The amount in minor units, e.g. cents.
+   * @param decimals    (optional) The number of decimals, defaults to two.
+   * @return            The decimal string.
+   */
+  function formatAmount(units, decimals) {
+    decimals = decimals === undefined ? 2 : decimals;
+    if (!decimals) {
+      return String(units);
+    }
+    var str = ('000' + units).substr(-Math.max(decimals + 1, String(units).length));
+    return str.substr(0, str.length - decimals) + '.' + str.substr(-decimals);
+  }
+
+  /**
+   * Parses the amount of a transaction with the decimals of its currency.
+   *
+   * @param tx          The SEPA.Transaction.
+   * @param required    If true, an error is thrown for invalid amounts.
+   * @return            The amount in thousandths, see CONTROL_SUM_DECIMALS.
+   */
+  function parseTransactionAmount(tx, required) {
+    var decimals = currencyDecimals(tx.currency);
+    return parseAmount(tx.amount, required, decimals) * Math.pow(10, CONTROL_SUM_DECIMALS - decimals);
+  }
+
+  /**
+   * Formats the amount of a transaction with the decimals of its currency.
+   *
+   * @param tx          The SEPA.Transaction.
+   * @return            The decimal string.
+   * @throws Error      If the amount is invalid.
+   */
+  function formatTransactionAmount(tx) {
+    var decimals = currencyDecimals(tx.currency);
+    return formatAmount(parseAmount(tx.amount, true, decimals), decimals);
+  }
+
+  /**
+   * Sums up the amounts of transactions for a control sum.
+   *
+   * @param transactions  Array of SEPA.Transaction objects.
+   * @return              The sum in thousandths, see CONTROL_SUM_DECIMALS.
+   * @throws Error        If an amount is invalid.
+   */
+  function sumAmounts(transactions) {
+    var sum = 0;
+    for (var i = 0, l = transactions.length; i < l; ++i) {
+      sum += parseTransactionAmount(transactions[i], true);
+    }
+    return sum;
+  }
+
+  /**
+   * Formats a control sum with two decimals, or three if they are needed.
+   *
+   * @param sum         The sum in thousandths.
+   * @return            The decimal string.
+   */
+  function formatControlSum(sum) {
+    return sum % 10 ? formatAmount(sum, CONTROL_SUM_DECIMALS) : formatAmount(sum / 10, 2);
+  }
+
+  /**
+   * Checks if the value is a string within the given length bounds.
+   *
+   * @param val         The value to check.
+   * @param min         The minimum length.
+   * @param max         The maximum length.
+   * @return            True, if the value is a string of valid length.
+   */
+  function isText(val, min, max) {
+    return typeof val === 'string' && val.length >= min && val.length <= max;
+  }
+
+  /**
+   * Checks a text field that is written through the sanitize helper. When
+   * sanitizing, longer texts are truncated, so only the minimum length is
+   * checked.
+   *
+   * @param val         The value to check.
+   * @param min         The minimum length.
+   * @param max         The maximum length.
+   * @param sanitize    If true, the text is sanitized when writing the XML.
+   * @return            True, if the value is a string of valid length.
+   */
+  function isSanitizedText(val, min, max, sanitize) {
+    return isText(val, min, sanitize ? Infinity : max);
+  }
+
+  /**
+   * Checks if the value is a Date object representing a valid date.
+   *
+   * @param val         The value to check.
+   * @return            True, if the value is a valid date.
+   */
+  function isDate(val) {
+    return val instanceof Date && !isNaN(val.getTime());
+  }
+
+  /**
+   * Returns a helper for collecting validation errors. The returned function
+   * takes the field name, the result of the check and a message. If the check
+   * failed, an error object with the prefixed field path is added.
+   *
+   *  // Usage: c('debtorIBAN', validateIBAN(tx.debtorIBAN), 'must be a valid IBAN')
+   *  // Result: errors.push({ path: 'transactions[0].debtorIBAN', message: ... })
+   *  var c = createValidationHelper(errors, 'transactions[0].');
+   *
+   * @param errors      The array to push { path, message } objects to.
+   * @param path        The path prefix for field names.
+   */
+  function createValidationHelper(errors, path) {
+    return function(field, valid, message) {
+      if (!valid) {
+        errors.push({ path: path + field, message: message });
+      }
+    };
+  }
+
+  /**
+   * Checks the optional identifier of a party.
+   *
+   * @param c           The helper from createValidationHelper.
+   * @param obj         The object with the properties.
+   * @param prefix      The property prefix, e.g. initiator.
+   */
+  function validatePartyId(c, obj, prefix) {
+    c(prefix + 'Id', !obj[prefix + 'Id'] || isText(obj[prefix + 'Id'], 1, 35), 'must be 1 to 35 characters long');
+    c(prefix + 'IdType', obj[prefix + 'IdType'] === 'OrgId' || obj[prefix + 'IdType'] === 'PrvtId', 'must be OrgId or PrvtId');
+  }
+
+  /**
+   * Checks the optional name, identifier and address of an ultimate party.
+   *
+   * @param c           The helper from createValidationHelper.
+   * @param obj         The object with the properties.
+   * @param prefix      The property prefix, e.g. ultimateCreditor.
+   * @param painFormat  The pain format the party is written in.
+   * @param sanitize    (optional) If true, the name and address are
+   *                      truncated when writing the XML.
+   */
+  function validateUltimateParty(c, obj, prefix, painFormat, sanitize) {
+    c(prefix + 'Name', !obj[prefix + 'Name'] || isSanitizedText(obj[prefix + 'Name'], 1, 70, sanitize), 'must be 1 to 70 characters long');
+    c(prefix + 'Address', !obj[prefix + 'Address'] || allowsStructuredAddress(painFormat), 'is not supported by ' + painFormat);
+    validatePartyId(c, obj, prefix);
+    validateAddress(c, obj, prefix, painFormat, sanitize);
+  }
+
+  /**
+   * Checks the optional postal address of a party.
+   *
+   * @param c           The helper from createValidationHelper.
+   * @param obj         The object with the properties.
+   * @param prefix      The property prefix, e.g. debtor or ultimateCreditor.
+   * @param painFormat  The pain format the address is written in.
+   * @param sanitize    (optional) If true, the address fields are truncated
+   *                      when writing the XML.
+   */
+  function validateAddress(c, obj, prefix, painFormat, sanitize) {
+    var address = getAddress(obj, prefix, painFormat);
+    if (!address) {
+      return;
+    }
+
+    var field = prefix + 'Address';
+    var lines = address.addressLines || [];
+    c(field, address.mode, 'must have a town name or address lines');
+    c(field + '.country', /^[A-Z]{2}$/.test(address.country), 'must be a two letter country code');
+    c(field + '.streetName', !address.streetName || isSanitizedText(address.streetName, 1, 70, sanitize), 'must be 1 to 70 characters long');
+    c(field + '.buildingNumber', !address.buildingNumber || isSanitizedText(address.buildingNumber, 1, 16, sanitize), 'must be 1 to 16 characters long');
+    c(field + '.postCode', !address.postCode || isSanitizedText(address.postCode, 1, 16, sanitize), 'must be 1 to 16 characters long');
+    c(field + '.townName', !address.townName || isSanitizedText(address.townName, 1, 35, sanitize), 'must be 1 to 35 characters long');
+    c(field + '.addressLines', Array.isArray(lines) && lines.length <= 2, 'must be an array of at most two lines');
+    lines.forEach(function(line, i) {
+      c(field + '.addressLines[' + i + ']', isSanitizedText(line, 1, 70, sanitize), 'must be 1 to 70 characters long');
+    });
+
+    if (!allowsStructuredAddress(painFormat)) {
+      lines = address._toAddressLines();
+      c(field, lines.length <= 2 && lines.every(function(line) {
+        return isSanitizedText(line, 0, 70, sanitize);
+      }), 'must fit into two lines of 70 characters for ' + painFormat);
+    }
+  }
+
+  /**
+   * Throws a ValidationError if the errors array is not empty.
+   *
+   * @param errors      The array of validation errors.
+   */
+  function throwValidationErrors(errors) {
+    if (errors.length) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /** Characters allowed in SEPA text fields, the restricted Latin set */
+  var SEPA_CHARS = /[A-Za-z0-9/\-?:().,'+ ]/;
+
+  /** Characters additionally allowed by the German DK formats */
+  var DK_CHARS = /[\u00c4\u00d6\u00dc\u00e4\u00f6\u00fc\u00df]/;
+
+  /**
+   * Characters additionally allowed by the Swiss Payment Standards, which
+   * include the accented letters of the Swiss languages.
+   */
+  var SPS_CHARS = /[!"#%&*;<>=@_$[\]{}\\`~\u00a3\u00b4\u00f7\u00df\u00c0-\u00c2\u00c4\u00c7-\u00cf\u00d1-\u00d4\u00d6\u00d9-\u00dc\u00e0-\u00e2\u00e4\u00e7-\u00ef\u00f1-\u00f4\u00f6\u00f9-\u00fd\u00ff]/;
+
+  /**
+   * Replacements for characters that can't be reduced to an allowed one by
+   * removing accents.
+   */
+  var CHAR_REPLACEMENTS = {
+    '\u00c4': 'Ae', '\u00d6': 'Oe', '\u00dc': 'Ue', '\u00e4': 'ae', '\u00f6': 'oe', '\u00fc': 'ue',
+    '\u00df': 'ss', '\u00c6': 'AE', '\u00e6': 'ae', '\u0152': 'OE', '\u0153': 'oe', '\u00d8': 'O',
+    '\u00f8': 'o', '\u0141': 'L', '\u0142': 'l', '\u0110': 'D', '\u0111': 'd', '\u00de': 'TH',
+    '\u00fe': 'th', '&': '+', '_': '-', '"': '\'', '\n': ' ', '\t': ' '
+  };
+
+  /**
+   * Converts text to the SEPA character set. Umlauts and other special
+   * letters are transliterated (e.g. \u00e4 -> ae, \u00e9 -> e, \u00df -> ss),
+   * remaining disallowed characters are replaced by a space. The result is
+   * truncated to the maximum length.
+   *
+   * @param str           The text to sanitize.
+   * @param maxLength     The maximum length of the result.
+   * @param extraChars    (optional) A regular expression for characters that
+   *                        are allowed in addition, like DK_CHARS.
+   * @return              The sanitized text.
+   */
+  function sanitizeText(str, maxLength, extraChars) {
+    var res = '';
+    for (var i = 0, l = str.length; i < l; ++i) {
+      var ch = str[i];
+      if (SEPA_CHARS.test(ch) || (extraChars && extraChars.test(ch))) {
+        res += ch;
+      } else if (Object.prototype.hasOwnProperty.call(CHAR_REPLACEMENTS, ch)) {
+        res += CHAR_REPLACEMENTS[ch];
+      } else {
+        var base = ch.normalize ? ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : '';
+        res += base.length === 1 && SEPA_CHARS.test(base) ? base : ' ';
+      }
+    }
+    return res.substr(0, maxLength);
+  }
+
+  /**
+   * Returns a helper for sanitizing text fields while serializing. The
+   * returned function takes the field name, the value and the maximum length
+   * and returns the value to write. If no report is given, values are
+   * returned unchanged. Otherwise changed values are added to the report.
+   *
+   *  // Usage: s('debtorName', tx.debtorName, 70)
+   *  // Result: report.push({ path: 'transactions[0].debtorName', original: ..., value: ... })
+   *  var s = createSanitizeHelper(painFormat, report, 'transactions[0].');
+   *
+   * @param painFormat  The pain format, DK and Swiss formats allow more
+   *                      characters.
+   * @param report      The array to push changes to, or null to disable.
+   * @param path        The path prefix for field names.
+   */
+  function createSanitizeHelper(painFormat, report, path) {
+    var extraChars = painFormat.indexOf('.003.') > -1 ? DK_CHARS : null;
+    if (painFormat.indexOf('.ch.') > -1) {
+      extraChars = SPS_CHARS;
+    }
+    return function(field, value, maxLength) {
+      if (!report || typeof value !== 'string') {
+        return value;
+      }
+      var sanitized = sanitizeText(value, maxLength, extraChars);
+      if (sanitized !== value) {
+        report.push({ path: (path || '') + field, original: value, value: sanitized });
+      }
+      return sanitized;
+    };
+  }
+
+  /**
+   * Creates a DOM Document, either using the browser document, or node.js xmldom.
+   *
+   * @param nsURI       The namespace URI.
+   * @param qname       Qualified name for the root tag.
+   * @return            The created DOM document.
+   */
+  function createDocument(nsURI, qname) {
+    if (typeof document !== 'undefined' && typeof document.implementation !== 'undefined') {
+      return document.implementation.createDocument(nsURI, qname);
+    } else {
+      var DOMImplementation = require('xmldom').DOMImplementation;
+      return new DOMImplementation().createDocument(nsURI, qname);
+    }
+  }
+
+  /**
+   * Validates an XML string against an XSD schema. This is only available in
+   * node.js and requires the optional xmllint-wasm dependency. The schemas
+   * are read from the schemas directory of this package by default, named
+   * after the format, e.g. pain.008.001.02.xsd.
+   *
+   * The XML is validated with one element per line, so each error can be
+   * mapped to the path of the offending element. The errors are objects with
+   * these properties:
+   *
+   * line     - The line number in the XML with one element per line
+   * path     - The XPath of the element, e.g. /Document/CstmrDrctDbtInitn/PmtInf[1]/DrctDbtTxInf[4]
+   * element  - The name of the element mentioned in the message, if any
+   * message  - The message from xmllint
+   *
+   * @param xml         The XML string to validate.
+   * @param schemaFile  The file name of the schema, e.g. pain.008.001.02.xsd.
+   * @param schemaDir   (optional) Directory to read the schema from.
+   * @return            Promise resolving to { valid, errors }, rejected if
+   *                      there is no schema file or outside of node.js.
+   */
+  function validateSchema(xml, schemaFile, schemaDir) {
+    if (typeof window !== 'undefined') {
+      return Promise.reject(new Error('Schema validation is only available in node.js'));
+    }
+
+    var fs = require('fs');
+    var path = require('path');
+    var schemaPath = path.join(schemaDir || path.join(__dirname, '..', 'schemas'), schemaFile);
+    if (!fs.existsSync(schemaPath)) {
+      return Promise.reject(new Error('No schema available for ' + schemaFile + ' in ' + path.dirname(schemaPath)));
+    }
+    var validateXML = require('xmllint-wasm').validateXML;
+
+    var lines = xml.replace(/></g, '>\n<').split('\n');
+    var paths = _getXMLLinePaths(lines);
+
+    return validateXML({
+      xml: { fileName: 'document.xml', contents: lines.join('\n') },
+      schema: { fileName: schemaFile, contents: fs.readFileSync(schemaPath, 'utf-8') }
+    }).then(function(result) {
+      var errors = result.errors.map(function(err) {
+        var line = err.loc ? err.loc.lineNumber : null;
+        var element = /Element '(?:\{[^}]*\})?([^']+)'/.exec(err.message);
+        return {
+          line: line,
+          path: line ? paths[line - 1] : null,
+          element: element ? element[1] : null,
+          message: err.message
+        };
+      });
+      return { valid: result.valid, errors: errors };
+    });
+  }
+
+  /**
+   * Calculates the XPath of the element on each line, for XML that contains
+   * one element per line.
+   *
+   * @param lines       The lines of the XML.
+   * @return            An array with the XPath for each line.
+   */
+  function _getXMLLinePaths(lines) {
+    var stack = [];
+    var counts = [{}];
+    var paths = [];
+
+    for (var i = 0, l = lines.length; i < l; ++i) {
+      var match = /^<([^\s>/?!]+)/.exec(lines[i]);
+      if (/^<\//.test(lines[i])) {
+        paths.push('/' + stack.join('/'));
+        stack.pop();
+        counts.pop();
+      } else if (match) {
+        var siblings = counts[counts.length - 1];
+        siblings[match[1]] = (siblings[match[1]] || 0) + 1;
+        stack.push(match[1] + (stack.length ? '[' + siblings[match[1]] + ']' : ''));
+        paths.push('/' + stack.join('/'));
+        if (/\/>$/.test(lines[i]) || /<\/[^>]+>$/.test(lines[i])) {
+          stack.pop();
+        } else {
+          counts.push({});
+        }
+      } else {
+        paths.push('/' + stack.join('/'));
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Collects the public data properties of an object for the JSON format.
+   * Private properties starting with an underscore, getters and methods are
+   * left out, dates are converted to ISO strings and addresses to plain
+   * objects.
+   *
+   * @param obj         The object, e.g. a SEPA.Transaction.
+   * @return            The plain object with the properties.
+   */
+  function _propertiesToJSON(obj) {
+    var json = {};
+    var proto = Object.getPrototypeOf(obj);
+    // Prototype order first, so the output does not depend on which
+    // properties were set
+    Object.keys(proto).concat(Object.keys(obj)).forEach(function(prop) {
+      var desc = Object.getOwnPropertyDescriptor(proto, prop);
+      if (prop[0] === '_' || Object.prototype.hasOwnProperty.call(json, prop) || (desc && desc.get) ||
+          typeof obj[prop] === 'function') {
+        return;
+      }
+      var value = obj[prop];
+      if (value instanceof Date) {
+        value = isDate(value) ? value.toISOString() : null;
+      } else if (value instanceof SepaAddress) {
+        value = _propertiesToJSON(value);
+      }
+      json[prop] = value;
+    });
+    return json;
+  }
+
+  /**
+   * Sets the properties of an object from the JSON format. Properties the
+   * object does not have are ignored, dates are converted from ISO strings
+   * and addresses to SEPA.Address objects.
+   *
+   * @param obj         The object to set the properties on.
+   * @param json        The plain object with the properties.
+   */
+  function _propertiesFromJSON(obj, json) {
+    Object.keys(json || {}).forEach(function(prop) {
+      var desc = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(obj), prop);
+      if (prop[0] === '_' || !(prop in obj) || (desc && desc.get) || typeof obj[prop] === 'function') {
+        return;
+      }
+      var value = json[prop];
+      if (JSON_DATE_PROPERTIES.indexOf(prop) !== -1 && typeof value === 'string') {
+        value = new Date(value);
+      } else if (JSON_ADDRESS_PROPERTIES.indexOf(prop) !== -1 && value) {
+        value = new SepaAddress(value);
+      }
+      obj[prop] = value;
+    });
+  }
+
+  /**
+   * Copies the own properties of an object to another one.
+   *
+   * @param from        The object to copy from.
+   * @param to          The object to copy to.
+   */
+  function _copyProperties(from, to) {
+    Object.keys(from).forEach(function(prop) {
+      to[prop] = from[prop];
+    });
+  }
+
+  /**
+   * @param str         The string to measure.
+   * @return            The length of the string in UTF-8 bytes.
+   */
+  function _utf8Length(str) {
+    return unescape(encodeURIComponent(str)).length;
+  }
+
+  /**
+   * Serializes a dom element or document to string, using either the builtin
+   * XMLSerializer or the one from node.js xmldom.
+   *
+   * @param doc         The document or element to serialize
+   * @return            The serialized XML document.
    */
   function serializeToString(doc) {
     var s;
@@ -649,6 +3754,382 @@
     return s.serializeToString(doc);
   }
 
+  /**
+   * Parses an XML string into a DOM Document, either using the builtin
+   * DOMParser or the one from node.js xmldom.
+   *
+   * @param str         The XML string to parse.
+   * @return            The parsed DOM document.
+   */
+  function parseFromString(str) {
+    var p;
+    if (typeof window === 'undefined') {
+      var DOMParser = require('xmldom').DOMParser;
+      p = new DOMParser();
+    } else {
+      p = new window.DOMParser();
+    }
+    return p.parseFromString(str, 'text/xml');
+  }
+
+  /**
+   * Returns the root element of an XML string or DOM Document that is about
+   * to be parsed.
+   *
+   * @param xml         The XML string or DOM Document.
+   * @param kind        The kind of document expected, e.g. pain or camt.
+   * @return            The root DOM Element.
+   * @throws Error      If the input is not an XML document.
+   */
+  function getDocumentElement(xml, kind) {
+    var dom = typeof xml === 'string' ? parseFromString(xml) : xml;
+    if (!dom || !dom.documentElement) {
+      throw new Error('Not a ' + kind + ' XML document');
+    }
+    return dom.documentElement;
+  }
+
+  /**
+   * Returns all child elements of a node with the given local name,
+   * regardless of their namespace.
+   *
+   * @param node        The parent node, may be null.
+   * @param name        The local name of the child elements.
+   * @return            An array of matching elements.
+   */
+  function getXMLChildren(node, name) {
+    var res = [];
+    for (var child = node && node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1 && (child.localName || child.nodeName) === name) {
+        res.push(child);
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Reads a text value from XML nodes, the counterpart to the helpers from
+   * createXMLHelper. The first parameter is the parent element, followed by a
+   * variable number of element names leading to the value.
+   *
+   *  // Usage: getXMLValue(rootNode, 'foo', 'bar')
+   *  // Result: The text content of <root><foo><bar/></foo></root>
+   *
+   * @param node        The parent node, may be null.
+   * @return            The text content of the innermost node, or null if
+   *                      any of the nodes is missing.
+   */
+  function getXMLValue(node) {
+    for (var i = 1; i < arguments.length && node; ++i) {
+      node = getXMLChildren(node, arguments[i])[0];
+    }
+    return node ? node.textContent : null;
+  }
+
+  /**
+   * Reads name, address, IBAN and BIC of a party into the properties of the
+   * given object, as written by the toXML methods.
+   *
+   * @param obj         The payment info or transaction to fill.
+   * @param prefix      The property prefix, i.e. creditor or debtor.
+   * @param node        The parent node, i.e. <PmtInf> or <DrctDbtTxInf>.
+   * @param nodeName    The party node name, i.e. Cdtr or Dbtr.
+   */
+  function readPartyFromXML(obj, prefix, node, nodeName) {
+    var g = getXMLValue;
+    var party = getXMLChildren(node, nodeName)[0];
+    var agent = getXMLChildren(node, nodeName + 'Agt')[0] || getXMLChildren(node, nodeName + 'Agnt')[0];
+
+    obj[prefix + 'Name'] = g(party, 'Nm');
+    obj[prefix + 'IBAN'] = g(node, nodeName + 'Acct', 'Id', 'IBAN');
+    obj[prefix + 'BIC'] = g(agent, 'FinInstnId', 'BIC') || g(agent, 'FinInstnId', 'BICFI') || '';
+
+    obj[prefix + 'Address'] = readAddressFromXML(getXMLChildren(party, 'PstlAdr')[0]);
+  }
+
+  /**
+   * Reads a <PstlAdr> element.
+   *
+   * @param pstl        The DOM <PstlAdr> Element, may be null.
+   * @return            The SEPA.Address, or null if there is no element.
+   */
+  function readAddressFromXML(pstl) {
+    if (!pstl) {
+      return null;
+    }
+    var g = getXMLValue;
+    var lines = getXMLChildren(pstl, 'AdrLine').map(function(line) {
+      return line.textContent;
+    });
+    return new SepaAddress({
+      streetName: g(pstl, 'StrtNm'),
+      buildingNumber: g(pstl, 'BldgNb'),
+      postCode: g(pstl, 'PstCd'),
+      townName: g(pstl, 'TwnNm'),
+      country: g(pstl, 'Ctry'),
+      addressLines: lines.length ? lines : null
+    });
+  }
+
+  /**
+   * Reads the name and identifier of a party like <InitgPty> or <UltmtCdtr>
+   * into the properties of the given object.
+   *
+   * @param obj         The object to fill.
+   * @param prefix      The property prefix, e.g. ultimateCreditor.
+   * @param party       The party node, may be null.
+   */
+  function readPartyIdFromXML(obj, prefix, party) {
+    var g = getXMLValue;
+    var orgId = g(party, 'Id', 'OrgId', 'Othr', 'Id') || g(party, 'Id', 'OrgId', 'PrtryId', 'Id');
+    var prvtId = g(party, 'Id', 'PrvtId', 'Othr', 'Id') || g(party, 'Id', 'PrvtId', 'CstmrNb');
+
+    obj[prefix + 'Name'] = g(party, 'Nm');
+    obj[prefix + 'Id'] = orgId || prvtId;
+    obj[prefix + 'IdType'] = prvtId ? 'PrvtId' : 'OrgId';
+  }
+
+  /**
+   * Reads a creditor scheme id like <CdtrSchmeId> in the layout of any
+   * version.
+   *
+   * @param party       The party node, may be null.
+   * @return            The creditor id, or null if there is none.
+   */
+  function readCreditorSchemeIdFromXML(party) {
+    var g = getXMLValue;
+    return g(party, 'Id', 'PrvtId', 'Othr', 'Id') || g(party, 'Id', 'PrvtId', 'OthrId', 'Id');
+  }
+
+  /**
+   * Appends the identification of a party, e.g. <Id><OrgId><Othr><Id>.
+   * Nothing is added if the id is not set. The version 2 formats have no
+   * <Othr> element and use <PrtryId> or <CstmrNb> instead.
+   *
+   * @param doc         The document to create nodes with.
+   * @param party       The party node, e.g. <InitgPty>.
+   * @param id          The identifier.
+   * @param idType      The identifier type, OrgId or PrvtId.
+   * @param painFormat  (optional) The pain format to write.
+   */
+  function appendPartyIdToXML(doc, party, id, idType, painFormat) {
+    if (!id) {
+      return;
+    }
+    var r = createXMLHelper(doc, true, true);
+    if (painFormat && getPainXMLVersion(painFormat) === 2) {
+      if (idType === 'PrvtId') {
+        r(party, 'Id', 'PrvtId', 'CstmrNb', id);
+      } else {
+        r(party, 'Id', 'OrgId', 'PrtryId', 'Id', id);
+      }
+    } else {
+      r(party, 'Id', idType === 'PrvtId' ? 'PrvtId' : 'OrgId', 'Othr', 'Id', id);
+    }
+  }
+
+  /**
+   * Appends the SEPA creditor id to a party like <CdtrSchmeId>.
+   *
+   * @param doc         The document to create nodes with.
+   * @param party       The party node, e.g. <CdtrSchmeId>.
+   * @param id          The creditor id.
+   * @param painVersion The version of the pain format to write.
+   */
+  function appendCreditorSchemeIdToXML(doc, party, id, painVersion) {
+    var n = createXMLHelper(doc, true, false);
+    var r = createXMLHelper(doc, true, true);
+    if (painVersion === 2) {
+      var otherId = n(party, 'Id', 'PrvtId', 'OthrId');
+      r(otherId, 'Id', id);
+      r(otherId, 'IdTp', 'SEPA');
+    } else {
+      var other = n(party, 'Id', 'PrvtId', 'Othr');
+      r(other, 'Id', id);
+      r(other, 'SchmeNm', 'Prtry', 'SEPA');
+    }
+  }
+
+  /**
+   * Appends an ultimate party with name, address and identification, e.g.
+   * <UltmtCdtr>. Nothing is added if neither name nor id are set.
+   *
+   * @param doc         The document to create nodes with.
+   * @param parent      The parent node.
+   * @param nodeName    The party node name, i.e. UltmtCdtr or UltmtDbtr.
+   * @param name        The name of the party.
+   * @param id          The identifier.
+   * @param idType      The identifier type, OrgId or PrvtId.
+   * @param painFormat  The pain format to write.
+   * @param pstlAdr     (optional) The <PstlAdr> element from createAddressXML.
+   */
+  function appendUltimatePartyToXML(doc, parent, nodeName, name, id, idType, painFormat, pstlAdr) {
+    if (name || id) {
+      var n = createXMLHelper(doc, true, false);
+      var o = createXMLHelper(doc, false, true);
+      var party = n(parent, nodeName);
+      o(party, 'Nm', name);
+      if (pstlAdr) {
+        party.appendChild(pstlAdr);
+      }
+      appendPartyIdToXML(doc, party, id, idType, painFormat);
+    }
+  }
+
+  /**
+   * Checks if a pain format supports structured addresses. The EPC and DK
+   * variants before 2019 and all version 2 formats only know the country and
+   * up to two address lines.
+   *
+   * @param painFormat  The pain format.
+   * @return            True, if structured addresses are supported.
+   */
+  function allowsStructuredAddress(painFormat) {
+    return getPainXMLVersion(painFormat) >= 9 ||
+           (getPainXMLVersion(painFormat) === 3 && !/^pain\.\d{3}\.00[23]\./.test(painFormat));
+  }
+
+  /**
+   * Returns the address of a party. Plain objects are converted to a
+   * SEPA.Address, and the older street, city and country fields are used if
+   * there is no address object.
+   *
+   * @param obj         The object with the properties.
+   * @param prefix      The property prefix, e.g. debtor or ultimateCreditor.
+   * @param painFormat  The pain format the address is written in.
+   * @return            The SEPA.Address, or null if there is none.
+   */
+  function getAddress(obj, prefix, painFormat) {
+    var address = obj[prefix + 'Address'];
+    var street = obj[prefix + 'Street'];
+    var city = obj[prefix + 'City'];
+    var country = obj[prefix + 'Country'];
+
+    if (address) {
+      return address instanceof SepaAddress ? address : new SepaAddress(address);
+    } else if (street && city && country) {
+      if (getPainXMLVersion(painFormat) >= 9) {
+        return new SepaAddress({ streetName: street, townName: city, country: country });
+      }
+      return new SepaAddress({ country: country, addressLines: [street, city] });
+    }
+    return null;
+  }
+
+  /**
+   * Creates a <PstlAdr> element for the address of a party. It is not
+   * appended, since its position depends on the party.
+   *
+   * @param doc         The document to create nodes with.
+   * @param obj         The object with the properties.
+   * @param prefix      The property prefix, e.g. debtor or ultimateCreditor.
+   * @param painFormat  The pain format to write.
+   * @param s           The helper from createSanitizeHelper.
+   * @return            The DOM <PstlAdr> Element, or null if there is no address.
+   */
+  function createAddressXML(doc, obj, prefix, painFormat, s) {
+    var address = getAddress(obj, prefix, painFormat);
+    if (!address) {
+      return null;
+    }
+
+    var o = createXMLHelper(doc, false, true);
+    var r = createXMLHelper(doc, true, true);
+    var field = prefix + 'Address';
+    var pstl = doc.createElementNS(doc.documentElement.namespaceURI, 'PstlAdr');
+    var lines = address.addressLines || [];
+    var painVersion = getPainXMLVersion(painFormat);
+
+    if (allowsStructuredAddress(painFormat)) {
+      o(pstl, 'StrtNm', s(field + '.streetName', address.streetName, 70));
+      o(pstl, 'BldgNb', s(field + '.buildingNumber', address.buildingNumber, 16));
+      o(pstl, 'PstCd', s(field + '.postCode', address.postCode, 16));
+      o(pstl, 'TwnNm', s(field + '.townName', address.townName, 35));
+      r(pstl, 'Ctry', address.country);
+    } else if (painVersion >= 3) {
+      r(pstl, 'Ctry', address.country);
+      lines = address._toAddressLines();
+    } else {
+      lines = address._toAddressLines();
+    }
+
+    lines.forEach(function(line, i) {
+      r(pstl, 'AdrLine', s(field + '.addressLines[' + i + ']', line, 70));
+    });
+
+    // XML v2 formats, the country comes after the address lines
+    if (painVersion === 2) {
+      r(pstl, 'Ctry', address.country);
+    }
+    return pstl;
+  }
+
+  /**
+   * Appends a financial institution element with the given BIC, or
+   * NOTPROVIDED if there is neither a BIC nor other details.
+   *
+   * @param doc         The DOM Document to create elements with.
+   * @param parent      The DOM Element to append to.
+   * @param nodeName    The name of the agent element, e.g. DbtrAgt.
+   * @param bicName     The name of the BIC element, BIC or BICFI.
+   * @param bic         (optional) The BIC of the agent.
+   * @param details     (optional) Object with the clearingSystem, memberId,
+   *                      name and country of the agent.
+   */
+  function appendAgentToXML(doc, parent, nodeName, bicName, bic, details) {
+    var n = createXMLHelper(doc, true, false);
+    var o = createXMLHelper(doc, false, true);
+    var r = createXMLHelper(doc, true, true);
+    details = details || {};
+
+    if (!bic && !details.memberId && !details.name) {
+      appendNotProvidedAgentToXML(doc, parent, nodeName, 3);
+      return;
+    }
+
+    var finInstnId = n(parent, nodeName, 'FinInstnId');
+    o(finInstnId, bicName, bic);
+    if (details.memberId) {
+      var member = n(finInstnId, 'ClrSysMmbId');
+      o(member, 'ClrSysId', 'Cd', details.clearingSystem);
+      r(member, 'MmbId', details.memberId);
+    }
+    o(finInstnId, 'Nm', details.name);
+    o(finInstnId, 'PstlAdr', 'Ctry', details.country);
+  }
+
+  /**
+   * Appends a financial institution element for an unknown agent, i.e.
+   * NOTPROVIDED. The version 2 formats have no <Othr> element for it.
+   *
+   * @param doc         The DOM Document to create elements with.
+   * @param parent      The DOM Element to append to.
+   * @param nodeName    The name of the agent element, e.g. DbtrAgt.
+   * @param painVersion The version of the pain format to write.
+   */
+  function appendNotProvidedAgentToXML(doc, parent, nodeName, painVersion) {
+    var r = createXMLHelper(doc, true, true);
+    r(parent, nodeName, 'FinInstnId', painVersion === 2 ? 'PrtryId' : 'Othr', 'Id', 'NOTPROVIDED');
+  }
+
+  /**
+   * Appends a reason element like <RvslRsnInf> or <CxlRsnInf>.
+   *
+   * @param doc         The DOM Document to create elements with.
+   * @param parent      The DOM Element to append to.
+   * @param nodeName    The name of the reason element.
+   * @param reason      The ISO reason code.
+   * @param info        (optional) Additional information on the reason.
+   */
+  function appendReasonToXML(doc, parent, nodeName, reason, info) {
+    var n = createXMLHelper(doc, true, false);
+    var o = createXMLHelper(doc, false, true);
+    var r = createXMLHelper(doc, true, true);
+    var rsnInf = n(parent, nodeName);
+    r(rsnInf, 'Rsn', 'Cd', reason);
+    o(rsnInf, 'AddtlInf', info);
+  }
+
   /**
    * Returns a helper for creating XML nodes. There are three intended calls
    * for this helper. The first parameter for the returned function is always
@@ -700,10 +4181,31 @@
   // --- Module Exports follow --- //
 
   exports.Document               = SepaDocument;
+  exports.Address                = SepaAddress;
+  exports.RTransactionDocument   = SepaRTransactionDocument;
+  exports.MandateRegistry        = SepaMandateRegistry;
+  exports.SubmittedIds           = SepaSubmittedIds;
   exports.validateIBAN           = validateIBAN;
   exports.checksumIBAN           = checksumIBAN;
+  exports.validateBIC            = validateBIC;
   exports.validateCreditorID     = validateCreditorID;
   exports.checksumCreditorID     = checksumCreditorID;
+  exports.validateCreditorReference = validateCreditorReference;
+  exports.checksumCreditorReference = checksumCreditorReference;
+  exports.validateQRReference    = validateQRReference;
+  exports.checksumQRReference    = checksumQRReference;
   exports.setIDSeparator         = setIDSeparator;
+  exports.validateSchema         = validateSchema;
+  exports.parseStatement         = parseStatement;
+  exports.parseStatusReport      = parseStatusReport;
+  exports.isBusinessDay          = isBusinessDay;
+  exports.nextBusinessDay        = nextBusinessDay;
+  exports.earliestCollectionDate = earliestCollectionDate;
+  exports.CollectionLeadDays     = CollectionLeadDays;
+  exports.InstantLimits          = InstantLimits;
+  exports.CurrencyDecimals       = CurrencyDecimals;
+  exports.StatusCodes            = StatusCodes;
+  exports.ReasonCodes            = ReasonCodes;
+  exports.ValidationError        = ValidationError;
 
 })(typeof exports === 'undefined' ? this.SEPA = {} : exports);
@@ -0,0 +1,316 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* global Promise */
+
+/**
+ * Builds documents in every supported format and checks them against the
+ * bundled XSD schemas, both from toString() and from toStream(). A document
+ * that passes validate() must also be schema-valid.
+ *
+ * Run with: npm test
+ */
+
+var assert = require('assert');
+var SEPA = require('../lib/sepa.js');
+
+var IBAN = 'DE89370400440532013000';
+var BIC = 'COBADEFFXXX';
+var CH_IBAN = 'CH9300762011623852957';
+var CH_BIC = 'UBSWCHZH80A';
+
+var failures = 0;
+
+function pass(name) {
+  console.log('ok - ' + name);
+}
+
+function fail(name, message) {
+  failures++;
+  console.log('not ok - ' + name);
+  console.log('  ' + message.replace(/\n/g, '\n  '));
+}
+
+function isDirectDebit(painFormat) {
+  return painFormat.indexOf('pain.008') === 0;
+}
+
+function isSwiss(painFormat) {
+  return painFormat.indexOf('.ch.') > -1;
+}
+
+function createAddress(country) {
+  return new SEPA.Address({
+    streetName: 'Hauptstr.',
+    buildingNumber: '1',
+    postCode: country === 'CH' ? '8001' : '10115',
+    townName: country === 'CH' ? 'Zuerich' : 'Berlin',
+    country: country
+  });
+}
+
+/**
+ * Creates a document with two payment info blocks of two transactions each.
+ *
+ * @param painFormat  The pain format.
+ * @param options     Object with these optional flags:
+ *                      full - all optional fields, BICs and addresses
+ *                      localInstrumentation - the local instrument to use,
+ *                        null for none
+ * @return            The SEPA.Document.
+ */
+function createDocument(painFormat, options) {
+  var dd = isDirectDebit(painFormat);
+  var ch = isSwiss(painFormat);
+  var full = options.full;
+  var doc = new SEPA.Document({ painFormat: painFormat });
+
+  doc.grpHdr.id = 'MSG-1';
+  doc.grpHdr.created = new Date('2026-10-19T10:00:00Z');
+  doc.grpHdr.initiatorName = 'Initiator GmbH';
+  if (full) {
+    doc.grpHdr.initiatorId = 'INITIATOR-1';
+  }
+
+  for (var i = 0; i < 2; ++i) {
+    var info = doc.createPaymentInfo();
+    info.id = 'PMT-' + i;
+    info.batchBooking = !!full;
+    info.localInstrumentation = options.localInstrumentation;
+
+    var party = dd ? 'creditor' : 'debtor';
+    info[party + 'Name'] = 'Company GmbH';
+    info[party + 'IBAN'] = ch ? CH_IBAN : IBAN;
+    info[party + 'BIC'] = ch ? CH_BIC : (full ? BIC : '');
+    if (dd) {
+      info.creditorId = 'DE98ZZZ09999999999';
+      info.collectionDate = new Date('2026-11-02');
+      info.sequenceType = i ? 'RCUR' : 'FRST';
+    } else {
+      info.requestedExecutionDate = new Date('2026-11-02');
+    }
+
+    if (full) {
+      info[party + 'Address'] = createAddress(ch ? 'CH' : 'DE');
+      info[dd ? 'ultimateCreditorName' : 'ultimateDebtorName'] = 'Ultimate GmbH';
+      info[dd ? 'ultimateCreditorId' : 'ultimateDebtorId'] = 'ULTIMATE-1';
+      // The version 2 formats, named like their root element, have no
+      // category purpose
+      if (SEPA.Document.Types[painFormat] !== painFormat) {
+        info.categoryPurpose = 'SUPP';
+      }
+    }
+    doc.addPaymentInfo(info);
+
+    for (var j = 0; j < 2; ++j) {
+      var tx = info.createTransaction();
+      var other = dd ? 'debtor' : 'creditor';
+      tx.end2endId = 'E2E-' + i + '-' + j;
+      tx.amount = '12.34';
+      tx[other + 'Name'] = 'Partner ' + j;
+      tx[other + 'IBAN'] = ch ? CH_IBAN : IBAN;
+      tx[other + 'BIC'] = full ? (ch ? CH_BIC : BIC) : '';
+      if (!full || j === 1) {
+        tx.remittanceInfo = 'Invoice ' + i + '-' + j;
+      }
+      if (dd) {
+        tx.mandateId = 'MANDATE-' + i + '-' + j;
+        tx.mandateSignatureDate = new Date('2020-01-01');
+      }
+
+      if (full) {
+        tx[other + 'Address'] = createAddress(ch ? 'CH' : 'DE');
+        tx.purposeCode = 'SUPP';
+        tx.ultimateCreditorName = 'Ultimate Creditor';
+        tx.ultimateDebtorName = 'Ultimate Debtor';
+        tx[dd ? 'ultimateDebtorId' : 'ultimateCreditorId'] = 'PERSON-1';
+        tx[dd ? 'ultimateDebtorIdType' : 'ultimateCreditorIdType'] = 'PrvtId';
+        if (j === 0) {
+          tx.creditorReference = 'RF18539007547034';
+        }
+        if (dd && j === 1) {
+          tx.originalMandateId = 'OLD-MANDATE';
+          tx.originalCreditorName = 'Old Creditor';
+          tx.originalCreditorSchemeId = 'DE28ZZZ09999999998';
+          tx.originalDebtorIBAN = 'DE02120300000000202051';
+        } else if (dd && i === 1) {
+          tx.originalDebtorAgent = 'SMNDA';
+        }
+      }
+      info.addTransaction(tx);
+    }
+  }
+  return doc;
+}
+
+/**
+ * Collects the output of toStream() into a string.
+ *
+ * @param doc         The document to serialize.
+ * @return            Promise resolving to the XML string.
+ */
+function streamToString(doc) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    doc.toStream().on('data', function(chunk) {
+      chunks.push(chunk);
+    }).on('end', function() {
+      resolve(chunks.join(''));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Checks an XML string against the schema and reports the result.
+ *
+ * @param name        The name of the check.
+ * @param xml         The XML string.
+ * @param schemaFile  The file name of the schema.
+ * @return            Promise resolved when the check is done.
+ */
+function checkSchema(name, xml, schemaFile) {
+  return SEPA.validateSchema(xml, schemaFile).then(function(result) {
+    if (result.valid) {
+      pass(name);
+    } else {
+      fail(name, result.errors.map(function(error) {
+        return error.path + ': ' + error.message.trim();
+      }).join('\n'));
+    }
+  }, function(e) {
+    fail(name, e.message);
+  });
+}
+
+/**
+ * Checks a document through toString() and toStream(). Documents that do not
+ * pass validate() are only reported, unless they were expected to pass.
+ *
+ * @param name        The name of the check.
+ * @param doc         The SEPA.Document.
+ * @param mustPass    If true, validate() has to accept the document.
+ * @return            Promise resolved when the check is done.
+ */
+function checkDocument(name, doc, mustPass) {
+  try {
+    doc.validate();
+  } catch (e) {
+    if (mustPass) {
+      fail(name, e.message);
+    } else {
+      pass(name + ' # rejected by validate(): ' + e.message.replace(/\n/g, '; '));
+    }
+    return Promise.resolve();
+  }
+
+  var xml = doc.toString();
+  var schemaFile = doc._painFormat + '.xsd';
+  return streamToString(doc).then(function(streamed) {
+    try {
+      assert.strictEqual(streamed, xml);
+      pass(name + ' toStream() equals toString()');
+    } catch (e) {
+      fail(name + ' toStream() equals toString()', 'the streamed XML differs');
+    }
+    return checkSchema(name + ' toString()', xml, schemaFile).then(function() {
+      return checkSchema(name + ' toStream()', streamed, schemaFile);
+    });
+  });
+}
+
+function checkDocuments() {
+  var chain = Promise.resolve();
+  Object.keys(SEPA.Document.Types).forEach(function(painFormat) {
+    var instrument = isDirectDebit(painFormat) ? 'CORE' : null;
+    var cases = [
+      { name: 'minimal', mustPass: true, options: { localInstrumentation: instrument } },
+      { name: 'full', mustPass: true, options: { localInstrumentation: instrument, full: true } }
+    ];
+    if (isDirectDebit(painFormat)) {
+      cases.push({ name: 'without local instrument', options: { localInstrumentation: null } });
+    } else {
+      cases.push({ name: 'instant', options: { localInstrumentation: 'INST', full: true } });
+    }
+
+    cases.forEach(function(test) {
+      chain = chain.then(function() {
+        var name = painFormat + ' ' + test.name;
+        var doc;
+        try {
+          doc = createDocument(painFormat, test.options);
+        } catch (e) {
+          fail(name, e.stack);
+          return null;
+        }
+        return checkDocument(name, doc, test.mustPass);
+      });
+    });
+  });
+  return chain;
+}
+
+function checkRTransactions() {
+  var debits = createDocument('pain.008.001.02', { localInstrumentation: 'CORE', full: true });
+  var debitInfo = debits._paymentInfo[0];
+  var transfers = createDocument('pain.001.001.09', { full: true });
+
+  var reversal = new SEPA.RTransactionDocument({
+    id: 'REVERSAL-1',
+    created: new Date('2026-11-03T10:00:00Z'),
+    initiatorName: 'Company GmbH'
+  });
+  reversal.addTransaction(debits, debitInfo._payments[0], 'MS02');
+  reversal.addTransaction(debits, debitInfo._payments[1], 'AM05', 'Collected twice');
+
+  var cancellation = new SEPA.RTransactionDocument({
+    format: 'camt.055.001.01',
+    id: 'CANCEL-1',
+    created: new Date('2026-11-01T10:00:00Z'),
+    initiatorName: 'Company GmbH'
+  });
+  cancellation.assigneeBIC = BIC;
+  cancellation.addPaymentInfo(debits, debitInfo, 'DUPL', 'Sent twice');
+
+  var transferCancellation = new SEPA.RTransactionDocument({
+    format: 'camt.055.001.01',
+    id: 'CANCEL-2',
+    created: new Date('2026-11-01T10:00:00Z'),
+    initiatorName: 'Company GmbH'
+  });
+  transferCancellation.addTransaction(transfers, transfers._paymentInfo[0]._payments[1], 'CUST');
+
+  return checkSchema('pain.007.001.02 reversal', reversal.toString(), 'pain.007.001.02.xsd').then(function() {
+    return checkSchema('camt.055.001.01 direct debit cancellation', cancellation.toString(), 'camt.055.001.01.xsd');
+  }).then(function() {
+    return checkSchema('camt.055.001.01 transfer cancellation', transferCancellation.toString(), 'camt.055.001.01.xsd');
+  });
+}
+
+function checkMissingSchema() {
+  var doc = createDocument('pain.001.001.03', {});
+  return doc.validateSchema(__dirname).then(function() {
+    fail('missing schema', 'the promise was resolved');
+  }, function(e) {
+    if (/No schema available/.test(e.message)) {
+      pass('missing schema rejects the promise');
+    } else {
+      fail('missing schema', e.message);
+    }
+  });
+}
+
+try {
+  require.resolve('xmllint-wasm');
+} catch (e) {
+  console.log('# skipped, the optional xmllint-wasm dependency is not installed');
+  process.exit(0);
+}
+
+checkDocuments().then(checkRTransactions).then(checkMissingSchema).then(function() {
+  console.log(failures ? '# ' + failures + ' failed' : '# all passed');
+  process.exitCode = failures ? 1 : 0;
+}, function(e) {
+  console.log(e.stack);
+  process.exitCode = 1;
+});